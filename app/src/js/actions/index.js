@@ -1,5 +1,60 @@
+'use strict';
 
-module.exports = {
-  
+// Registry of named actions that keys can be bound to (see keymap.js).
+//
+// An action is a function that returns false if it didn't do anything,
+// e.g. 'pan-left' when the page isn't zoomed in, which lets a key
+// be bound to several actions where the first one that does something wins.
+// Anything else (including a promise) means the action was handled
+// so asynchronous actions must find out if they apply before returning.
+
+const actions = {};
+
+// Register an action under `name`, replacing any existing one.
+// `description` is a human readable explanation of the action.
+function register(name, fn, description) {
+  actions[name] = {
+    name: name,
+    fn: fn,
+    description: description || name
+  };
+}
+
+function unregister(name) {
+  delete actions[name];
+}
 
+function has(name) {
+  return !!actions[name];
 }
+
+// Run the action `name` with any extra arguments.
+// Returns false if the action doesn't exist or didn't do anything.
+function run(name) {
+  const action = actions[name];
+  if(!action) {
+    console.log("Unknown action:", name);
+    return false;
+  }
+  const args = Array.prototype.slice.call(arguments, 1);
+  const ret = action.fn.apply(null, args);
+  return (ret === false) ? false : true;
+}
+
+// Get all registered actions as [{name, description}]
+function list() {
+  return Object.keys(actions).sort().map((name) => {
+    return {
+      name: name,
+      description: actions[name].description
+    };
+  });
+}
+
+module.exports = {
+  register,
+  unregister,
+  has,
+  run,
+  list
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+import {load, save} from './storage.js';
+
+// Max length of the text snippet saved with each bookmark
+const SNIPPET_LENGTH = 100;
+
+// The bookmarks for a book, saved in local storage.
+//
+// Each bookmark is an object like:
+// {
+//   cfi: 'epubcfi(/6/8[chap03]!/4/2/1:120)',
+//   spineIndex: 3,
+//   created: 1583712000000, // ms since epoch
+//   snippet: 'The first words on the bookmarked page',
+//   chapter: 'Chapter 3' // label of the chapter in the toc (or null)
+// }
+//
+// Bookmarks are kept sorted by their location in the book.
+export default class Bookmarks {
+
+  constructor(bookID) {
+    this.bookID = bookID;
+    this.key = 'bookmarks.' + bookID;
+    this.bookmarks = load(this.key, []);
+  }
+
+  list() {
+    return this.bookmarks;
+  }
+
+  // Compare two bookmarks by location.
+  // CFIs can't be compared as strings so compare step by step
+  compare(a, b) {
+    if(a.spineIndex !== b.spineIndex) {
+      return a.spineIndex - b.spineIndex;
+    }
+    const numbers = new RegExp(/\d+/g);
+    // Remove the assertions and split into the step and offset numbers
+    const aNums = a.cfi.replace(/\[(\^.|[^\]])*\]/g, '').match(numbers) || [];
+    const bNums = b.cfi.replace(/\[(\^.|[^\]])*\]/g, '').match(numbers) || [];
+    var i;
+    for(i=0; i < aNums.length && i < bNums.length; i++) {
+      if(aNums[i] !== bNums[i]) {
+        return parseInt(aNums[i]) - parseInt(bNums[i]);
+      }
+    }
+    return aNums.length - bNums.length;
+  }
+
+  add(spineIndex, cfi, snippet, chapter) {
+    if(!cfi || this.get(cfi)) return null;
+
+    const bookmark = {
+      cfi: cfi,
+      spineIndex: spineIndex,
+      created: Date.now(),
+      snippet: (snippet || '').slice(0, SNIPPET_LENGTH),
+      chapter: chapter || null
+    };
+    this.bookmarks.push(bookmark);
+    this.bookmarks.sort(this.compare);
+    this.save();
+    return bookmark;
+  }
+
+  get(cfi) {
+    return this.bookmarks.find((bookmark) => bookmark.cfi === cfi) || null;
+  }
+
+  remove(cfi) {
+    const count = this.bookmarks.length;
+    this.bookmarks = this.bookmarks.filter((bookmark) => bookmark.cfi !== cfi);
+    if(this.bookmarks.length !== count) {
+      this.save();
+    }
+  }
+
+  save() {
+    save(this.key, this.bookmarks);
+  }
+
+  // Get the bookmarks as a JSON string including
+  // enough info about the book to identify it
+  exportJSON(opf) {
+    return JSON.stringify({
+      book: {
+        id: this.bookID,
+        title: opf ? opf.title : null,
+        authors: opf ? opf.authors : []
+      },
+      bookmarks: this.bookmarks
+    }, null, 2);
+  }
+}
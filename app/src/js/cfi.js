@@ -0,0 +1,294 @@
+'use strict';
+
+// Parsing and generation of EPUB Canonical Fragment Identifiers (CFI)
+// as specified in http://idpf.org/epub/linking/cfi/epub-cfi.html
+//
+// A CFI like:
+//
+//   epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:10)
+//
+// consists of a path through the Package Document (.opf file)
+// ending at the <itemref> of a spine item, then a `!` indirection,
+// then a path through the content document of that spine item
+// optionally ending with a character offset.
+//
+// Only what we need to locate a position inside a spine item is implemented.
+// Temporal (~) and spatial (@) offsets are skipped
+// and for range CFIs only the start location is used.
+
+// Characters that must be escaped using ^ inside CFI assertions
+const escapeRegex = new RegExp(/[\^\[\]\(\),;=]/g);
+
+function escapeAssertion(str) {
+  return str.replace(escapeRegex, '^$&');
+}
+
+// Parse a CFI string (optionally prefixed by e.g. "book.epub#") into e.g:
+// {
+//   spineIndex: 1, // index of the <itemref> inside <spine>
+//   spineID: 'chap01ref', // id assertion on the <itemref> (if any)
+//   packagePath: [{index: 6}, {index: 4, id: 'chap01ref'}],
+//   path: [{index: 4, id: 'body01'}, {index: 10, id: 'para05'}, {index: 3}],
+//   offset: 10 // character offset (if any)
+// }
+//
+// Throws an exception if parsing fails
+function parseCFI(cfi) {
+  const m = (cfi || '').trim().match(/^(?:[^#]*#)?epubcfi\((.*)\)$/);
+  if(!m) {
+    throw new Error("Not a CFI: " + cfi);
+  }
+  const str = m[1];
+  var pos = 0;
+
+  function fail(msg) {
+    throw new Error("Invalid CFI: " + msg + " at position " + pos + " of " + cfi);
+  }
+
+  function readInt() {
+    const start = pos;
+    while(pos < str.length && str[pos] >= '0' && str[pos] <= '9') {
+      pos++;
+    }
+    if(pos === start) fail("Expected an integer");
+    return parseInt(str.slice(start, pos));
+  }
+
+  // Read an [assertion] and remove the ^ escapes
+  function readAssertion() {
+    var out = '';
+    pos++; // skip the '['
+    while(pos < str.length && str[pos] !== ']') {
+      if(str[pos] === '^') pos++;
+      out += str[pos];
+      pos++;
+    }
+    if(str[pos] !== ']') fail("Unterminated assertion");
+    pos++;
+    return out;
+  }
+
+  // Read steps until reaching an indirection, a range separator or the end
+  function readPath() {
+    const o = {
+      steps: []
+    };
+    var step, c;
+    while(pos < str.length) {
+      c = str[pos];
+      if(c === '/') {
+        pos++;
+        step = {index: readInt()};
+        if(str[pos] === '[') {
+          step.id = readAssertion();
+        }
+        o.steps.push(step);
+      } else if(c === ':') {
+        pos++;
+        o.offset = readInt();
+        if(str[pos] === '[') {
+          // Text location assertions look like [before,after;s=b]
+          // and we only care about the side bias (if any)
+          let sideBias = readAssertion().match(/;s=([ab])/);
+          if(sideBias) {
+            o.sideBias = sideBias[1];
+          }
+        }
+      } else if(c === '~' || c === '@') {
+        pos++;
+        while(pos < str.length && str[pos].match(/[\d\.:]/)) {
+          pos++;
+        }
+        if(str[pos] === '[') readAssertion();
+      } else {
+        break;
+      }
+    }
+    return o;
+  }
+
+  const pkg = readPath();
+  if(str[pos] !== '!') fail("Expected '!' after the Package Document path");
+  pos++;
+
+  const content = readPath();
+
+  // Range CFIs look like epubcfi(/6/4!/4/10,/3:10,/3:20)
+  if(str[pos] === ',') {
+    pos++;
+    let start = readPath();
+    content.steps = content.steps.concat(start.steps);
+    content.offset = start.offset;
+    content.sideBias = start.sideBias;
+    if(str[pos] !== ',') fail("Expected ',' before range end");
+    pos++;
+    readPath(); // ignore the end of the range
+  }
+
+  if(pos < str.length) fail("Unexpected character '" + str[pos] + "'");
+
+  if(pkg.steps.length < 2) fail("Package Document path is too short");
+  const itemref = pkg.steps[pkg.steps.length - 1];
+  if(itemref.index % 2) fail("Package Document path does not end at an element");
+
+  const o = {
+    spineIndex: itemref.index / 2 - 1,
+    spineID: itemref.id,
+    packagePath: pkg.steps,
+    path: content.steps
+  };
+  if(content.offset !== undefined) {
+    o.offset = content.offset;
+  }
+  if(content.sideBias) {
+    o.sideBias = content.sideBias;
+  }
+  return o;
+}
+
+// Get the CFI step index of a node within its parent.
+// Elements get even indexes (2 for the first element child)
+// and the chunks of text before, between and after elements get odd indexes.
+function stepIndex(node) {
+  var elCount = 0;
+  var sib;
+  for(sib = node.parentNode.firstChild; sib && sib !== node; sib = sib.nextSibling) {
+    if(sib.nodeType === Node.ELEMENT_NODE) elCount++;
+  }
+  if(node.nodeType === Node.ELEMENT_NODE) {
+    return (elCount + 1) * 2;
+  }
+  return elCount * 2 + 1;
+}
+
+// A CFI offset counts characters from the start of the text chunk
+// which may consist of several adjacent text nodes
+function chunkOffset(node, offset) {
+  var sib;
+  for(sib = node.previousSibling; sib && sib.nodeType !== Node.ELEMENT_NODE; sib = sib.previousSibling) {
+    if(sib.nodeType === Node.TEXT_NODE || sib.nodeType === Node.CDATA_SECTION_NODE) {
+      offset += sib.textContent.length;
+    }
+  }
+  return offset;
+}
+
+// Generate the content document part of a CFI (the part after the '!')
+// for a node and an optional character offset into a text node
+function generatePath(node, offset) {
+  const steps = [];
+  const root = node.ownerDocument.documentElement;
+  var cur, id, step;
+  for(cur = node; cur && cur !== root && cur.parentNode; cur = cur.parentNode) {
+    step = '/' + stepIndex(cur);
+    if(cur.nodeType === Node.ELEMENT_NODE) {
+      id = cur.getAttribute('id');
+      if(id) step += '[' + escapeAssertion(id) + ']';
+    }
+    steps.unshift(step);
+  }
+  var path = steps.join('');
+  if(node.nodeType !== Node.ELEMENT_NODE) {
+    path += ':' + chunkOffset(node, offset || 0);
+  }
+  return path;
+}
+
+// Generate a complete CFI.
+// `base` is the Package Document part of the CFI, e.g. "/6/4[chap01ref]"
+// and `node` and `offset` specify the location inside the content document.
+function generateCFI(base, node, offset) {
+  return 'epubcfi(' + base + '!' + generatePath(node, offset) + ')';
+}
+
+// Get the child node of `parent` referenced by a CFI step index.
+// For an odd index this is the first node of the text chunk
+// or, if the chunk is empty, the element after it (or the parent)
+function childAtStep(parent, index) {
+  var elCount = 0;
+  var child;
+  const elsBefore = Math.floor(index / 2);
+  for(child = parent.firstChild; child; child = child.nextSibling) {
+    if(child.nodeType !== Node.ELEMENT_NODE) {
+      if(index % 2 && elCount === elsBefore) return child;
+      continue;
+    }
+    elCount++;
+    if(index % 2 && elCount > elsBefore) return child;
+    if(!(index % 2) && elCount === elsBefore) return child;
+  }
+  if(index % 2) return parent;
+  return null;
+}
+
+// Find the text node and the offset into that text node
+// for an offset into the text chunk beginning with `node`
+function textNodeAtOffset(node, offset) {
+  var last = node;
+  var len;
+  for(; node && node.nodeType !== Node.ELEMENT_NODE; node = node.nextSibling) {
+    if(node.nodeType !== Node.TEXT_NODE && node.nodeType !== Node.CDATA_SECTION_NODE) {
+      continue;
+    }
+    len = node.textContent.length;
+    if(offset <= len) {
+      return {node, offset};
+    }
+    offset -= len;
+    last = node;
+  }
+  // The offset is past the end of the chunk so use the end of the last node
+  return {node: last, offset: last.textContent.length};
+}
+
+// Find the location in `doc` referenced by the content document path
+// of a CFI parsed using parseCFI().
+//
+// Returns {node, offset} where offset is into the text of node
+// or null if the location does not exist in the document.
+function resolvePath(doc, cfi) {
+  var node = doc.documentElement;
+  var i, step, el;
+  for(i=0; i < cfi.path.length; i++) {
+    step = cfi.path[i];
+    // An id assertion still works if the document has
+    // changed since the CFI was generated so prefer it
+    if(step.id) {
+      el = doc.getElementById(step.id);
+      if(el) {
+        node = el;
+        continue;
+      }
+    }
+    node = childAtStep(node, step.index);
+    if(!node) return null;
+  }
+
+  if(node.nodeType === Node.ELEMENT_NODE || !cfi.offset) {
+    return {node, offset: 0};
+  }
+  return textNodeAtOffset(node, cfi.offset);
+}
+
+// Compare two locations of the form {node, offset} in the same document.
+// Returns a negative number if `a` is before `b`,
+// a positive number if `a` is after `b` and 0 if they are the same.
+// An element is considered to be before the nodes it contains.
+function comparePositions(a, b) {
+  if(a.node === b.node) {
+    return (a.offset || 0) - (b.offset || 0);
+  }
+  const pos = a.node.compareDocumentPosition(b.node);
+  if(pos & Node.DOCUMENT_POSITION_CONTAINED_BY) return -1;
+  if(pos & Node.DOCUMENT_POSITION_CONTAINS) return 1;
+  if(pos & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+  return 1;
+}
+
+module.exports = {
+  parseCFI,
+  generateCFI,
+  generatePath,
+  resolvePath,
+  comparePositions
+};
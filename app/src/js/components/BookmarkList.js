@@ -0,0 +1,127 @@
+
+import { h, render, Component } from 'preact';
+
+// List of bookmarks overlay
+//
+// Props:
+//   bookmarks: array of bookmarks (see bookmarks.js)
+//   onSelect: called with the bookmark to jump to
+//   onDelete: called with the bookmark to delete
+//   onExport: called when the user wants to export all bookmarks
+//   onClose: called when the overlay should be closed
+export default class BookmarkList extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      selected: 0
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  moveSelection(delta) {
+    const i = this.state.selected + delta;
+    if(i < 0 || i >= this.props.bookmarks.length) return;
+    this.setState({
+      selected: i
+    });
+  }
+
+  deleteSelected() {
+    const bookmark = this.props.bookmarks[this.state.selected];
+    if(!bookmark) return;
+    this.props.onDelete(bookmark);
+    if(this.state.selected >= this.props.bookmarks.length - 1) {
+      this.setState({
+        selected: Math.max(this.state.selected - 1, 0)
+      });
+    }
+  }
+
+  onkeydown(e) {
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-1);
+      break;
+    case 40: // down arrow
+      this.moveSelection(1);
+      break;
+    case 13: // enter
+      if(this.props.bookmarks[this.state.selected]) {
+        this.props.onSelect(this.props.bookmarks[this.state.selected]);
+      }
+      break;
+    case 46: // delete
+    case 68: // d
+      this.deleteSelected();
+      break;
+    case 69: // e
+      this.props.onExport();
+      break;
+    case 27: // escape
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+  }
+
+  componentDidUpdate() {
+    if(!this.base) return;
+    const el = this.base.querySelector('.bookmark.selected');
+    if(el) {
+      el.scrollIntoView({block: 'nearest'});
+    }
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  onDeleteClick(bookmark, e) {
+    e.stopPropagation();
+    this.props.onDelete(bookmark);
+  }
+
+  render(props, state) {
+    var list;
+    if(!props.bookmarks.length) {
+      list = (
+        <div class="bookmarks-empty">No bookmarks. Press b while reading to add one.</div>
+      );
+    } else {
+      list = (
+        <ul class="bookmark-list">
+          {props.bookmarks.map((bookmark, i) => {
+            return (
+              <li key={bookmark.cfi} class={'bookmark' + ((i === state.selected) ? ' selected' : '')} onClick={() => props.onSelect(bookmark)}>
+                <div class="bookmark-chapter">{bookmark.chapter || "Unknown chapter"}</div>
+                <div class="bookmark-snippet">{bookmark.snippet}</div>
+                <div class="bookmark-date">{new Date(bookmark.created).toLocaleString()}</div>
+                <span class="bookmark-delete" onClick={this.onDeleteClick.bind(this, bookmark)}>Delete</span>
+              </li>
+            );
+          })}
+        </ul>
+      );
+    }
+
+    return (
+      <div class="bookmarks overlay">
+        <h1>Bookmarks</h1>
+        {list}
+        <div class="bookmarks-help">
+          enter: go to bookmark, d: delete, <span onClick={props.onExport}>e: export as JSON</span>
+        </div>
+      </div>
+    );
+  }
+}
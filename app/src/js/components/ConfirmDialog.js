@@ -0,0 +1,56 @@
+
+import { h, render, Component } from 'preact';
+
+// Overlay asking the user to confirm something
+//
+// Props:
+//   title: heading of the dialog
+//   message: text explaining what will happen
+//   onConfirm: called if the user confirms
+//   onClose: called if the user cancels
+export default class ConfirmDialog extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  onkeydown(e) {
+    switch(e.keyCode) {
+
+    case 13: // enter
+    case 89: // y
+      this.props.onConfirm();
+      break;
+    case 27: // escape
+    case 78: // n
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props) {
+    return (
+      <div class="confirm-dialog overlay">
+        <h1>{props.title}</h1>
+        <div class="confirm-dialog-message">{props.message}</div>
+        <div class="confirm-dialog-buttons">
+          <span class="confirm-dialog-button" onClick={props.onConfirm}>Yes (enter)</span>
+          <span class="confirm-dialog-button" onClick={props.onClose}>No (escape)</span>
+        </div>
+      </div>
+    );
+  }
+}
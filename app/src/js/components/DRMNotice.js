@@ -0,0 +1,18 @@
+
+import { h, render, Component } from 'preact';
+
+// Shown instead of the book when its content is encrypted using DRM
+export default class DRMNotice extends Component {
+
+  render() {
+    return (
+      <div class="drm-notice">
+        <h1>This book is DRM-protected</h1>
+        <div class="drm-notice-text">
+          The contents of this book are encrypted using DRM (Digital Restrictions Management) so it can't be shown.
+          Books without DRM can be bought from many publishers and stores.
+        </div>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,109 @@
+
+import { h, render, Component } from 'preact';
+
+// Overlay for jumping to a page number from the book's page list
+// (the page numbers of the printed edition) or,
+// if the book has no page list, to a percentage of the book
+//
+// Props:
+//   pageList: array of page list entries (see parse_nav.js)
+//   onSelectPage: called with the page list entry to go to
+//   onSelectPercent: called with a percentage of the book to go to
+//   onClose: called when the overlay should be closed
+export default class GoToPage extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      value: '',
+      error: null
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+    this.onInputBound = this.onInput.bind(this);
+  }
+
+  hasPageList() {
+    return !!(this.props.pageList && this.props.pageList.length);
+  }
+
+  go() {
+    const value = this.state.value.trim();
+    if(!value) return;
+
+    if(this.hasPageList()) {
+      const entry = this.props.pageList.find((entry) => entry.label.trim().toLowerCase() === value.toLowerCase());
+      if(!entry) {
+        this.setState({
+          error: "No page " + value + " in this book"
+        });
+        return;
+      }
+      this.props.onSelectPage(entry);
+      return;
+    }
+
+    const percent = parseFloat(value);
+    if(isNaN(percent) || percent < 0 || percent > 100) {
+      this.setState({
+        error: "Enter a number from 0 to 100"
+      });
+      return;
+    }
+    this.props.onSelectPercent(percent);
+  }
+
+  onInput(e) {
+    this.setState({
+      value: e.target.value,
+      error: null
+    });
+  }
+
+  onkeydown(e) {
+    switch(e.keyCode) {
+
+    case 13: // enter
+      this.go();
+      break;
+    case 27: // escape
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+    if(this.input) this.input.focus();
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props, state) {
+    var description;
+    if(this.hasPageList()) {
+      const first = props.pageList[0].label;
+      const last = props.pageList[props.pageList.length - 1].label;
+      description = "Page (" + first + " to " + last + ")";
+    } else {
+      description = "This book has no page numbers. Percentage of the book (0 to 100)";
+    }
+    
+    return (
+      <div class="go-to-page overlay">
+        <h1>Go to page</h1>
+        <div class="go-to-page-description">{description}</div>
+        <input class="go-to-page-input" type="text" value={state.value} onInput={this.onInputBound} ref={(el) => this.input = el} />
+        {(state.error) ? (
+          <div class="go-to-page-error">{state.error}</div>
+        ) : null}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,367 @@
+'use strict';
+
+import { h, render, Component } from 'preact';
+import {loadConfig} from '../config.js';
+import {scan, getBooks} from '../library.js';
+import * as thumbnails from '../thumbnails.js';
+import {load, save} from '../storage.js';
+import {SORT_MODES, sortBooks, filterBooks, getLanguages, getTagTree, searchText, BookSearch} from '../library_search.js';
+import TagBrowser from './TagBrowser.js';
+
+// Thumbnails are only kept in memory for books this close to the selection
+const THUMBNAIL_WINDOW = 50;
+
+// The book browser
+//
+// Props:
+//   directory: a directory to scan in addition to the configured ones (optional)
+export default class Library extends Component {
+
+  constructor(props) {
+    super(props);
+
+    // All books in the library
+    this.books = [];
+    // Map of book path to the text searched for that book
+    this.searchTexts = new Map();
+
+    this.state = {
+      results: [], // the books currently shown
+      selected: 0,
+      scanning: false,
+      progress: null,
+      view: load('library.view', 'grid'), // 'grid' or 'list'
+      sort: load('library.sort', 'title'), // key of SORT_MODES
+      language: null, // only show books in this language
+      tag: null, // only show books with this tag (or a sub-tag of it)
+      browsingTags: false, // is the tag browser overlay shown
+      query: '',
+      thumbnails: {} // path -> data URI
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+    this.onSearchInputBound = this.onSearchInput.bind(this);
+  }
+
+  async refresh() {
+    this.books = await getBooks();
+    this.searchTexts = new Map();
+    var book;
+    for(book of this.books) {
+      this.searchTexts.set(book.path, searchText(book));
+    }
+    await this.updateResults({});
+  }
+
+  // Filter, sort and search the books again
+  // after applying `changes` to the sort, language and tag state.
+  // The changes are passed in since setState() doesn't happen immediately
+  async updateResults(changes) {
+    const opts = Object.assign({}, this.state, changes);
+    this.setState(changes);
+
+    const books = sortBooks(filterBooks(this.books, opts), opts.sort);
+    this.bookSearch = new BookSearch(books, this.searchTexts);
+    await this.search(opts.query);
+  }
+
+  async search(query) {
+    const results = await this.bookSearch.search(query);
+    // A newer search was started before this one finished
+    if(!results) return;
+
+    this.setState({
+      results: results,
+      selected: Math.min(this.state.selected, Math.max(results.length - 1, 0))
+    });
+    await this.loadThumbnails(results);
+  }
+
+  onSearchInput(e) {
+    const query = e.target.value;
+    this.setState({
+      query: query,
+      selected: 0
+    });
+    this.search(query);
+  }
+
+  // Load the thumbnails for books near the selection
+  // and forget the ones far away to save memory
+  async loadThumbnails(books) {
+    // If already loading then run again when done
+    // since the selection has probably changed
+    if(this.loadingThumbnails) {
+      this.reloadThumbnails = true;
+      return;
+    }
+    this.loadingThumbnails = true;
+    this.reloadThumbnails = false;
+
+    books = books || this.state.results;
+    const sel = this.state.selected;
+    const start = Math.max(sel - THUMBNAIL_WINDOW, 0);
+    const end = Math.min(sel + THUMBNAIL_WINDOW, books.length);
+
+    const loaded = {};
+    var i, path;
+    for(i=start; i < end; i++) {
+      path = books[i].path;
+      loaded[path] = this.state.thumbnails[path];
+    }
+
+    for(i=start; i < end; i++) {
+      path = books[i].path;
+      if(loaded[path]) continue;
+      try {
+        loaded[path] = await thumbnails.get(books[i]);
+      } catch(err) {
+        console.error("Failed to get thumbnail for " + path + ":", err);
+        continue;
+      }
+      this.setState({
+        thumbnails: Object.assign({}, loaded)
+      });
+    }
+    this.setState({
+      thumbnails: loaded
+    });
+
+    this.loadingThumbnails = false;
+    if(this.reloadThumbnails) {
+      await this.loadThumbnails();
+    }
+  }
+
+  toggleView() {
+    const view = (this.state.view === 'grid') ? 'list' : 'grid';
+    save('library.view', view);
+    this.setState({
+      view: view
+    });
+  }
+
+  // Get the value after `cur` in `values`, wrapping around
+  nextValue(values, cur) {
+    return values[(values.indexOf(cur) + 1) % values.length];
+  }
+
+  cycleSort() {
+    const sort = this.nextValue(Object.keys(SORT_MODES), this.state.sort);
+    save('library.sort', sort);
+    this.updateResults({sort});
+  }
+
+  cycleLanguage() {
+    const language = this.nextValue([null].concat(getLanguages(this.books)), this.state.language);
+    this.updateResults({language, selected: 0});
+  }
+
+  setBrowsingTags(browsingTags) {
+    this.setState({
+      browsingTags: browsingTags
+    });
+  }
+
+  selectTag(tag) {
+    this.updateResults({tag, selected: 0, browsingTags: false});
+  }
+
+  clearSearch() {
+    this.setState({
+      query: ''
+    });
+    this.search('');
+  }
+
+  async scan() {
+    const config = await loadConfig();
+    var directories = config.library.directories.slice();
+    if(this.props.directory && directories.indexOf(this.props.directory) < 0) {
+      directories.push(this.props.directory);
+    }
+
+    this.setState({
+      scanning: true
+    });
+    try {
+      await scan(directories, (done, total) => {
+        this.setState({
+          progress: done + ' / ' + total
+        });
+      }, {languages: config.languages});
+    } catch(err) {
+      console.error("Library scan failed:", err);
+    }
+    this.setState({
+      scanning: false,
+      progress: null
+    });
+    await this.refresh();
+  }
+
+  open(book) {
+    if(!book) return;
+    window.location.href = Fread.pathToURI(book.path);
+  }
+
+  moveSelection(delta) {
+    const i = this.state.selected + delta;
+    if(i < 0 || i >= this.state.results.length) return;
+    this.setState({
+      selected: i
+    });
+    this.loadThumbnails();
+  }
+
+  // How many books are shown on each row
+  columns() {
+    if(this.state.view !== 'grid' || !this.base) return 1;
+    const el = this.base.querySelector('.library-book');
+    if(!el) return 1;
+    return Math.max(Math.floor(this.base.clientWidth / el.offsetWidth), 1);
+  }
+
+  // Keys handled while the search field has focus.
+  // Everything else is left alone so it can be typed.
+  onSearchKeydown(e) {
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-this.columns());
+      break;
+    case 40: // down arrow
+      this.moveSelection(this.columns());
+      break;
+    case 13: // enter
+      this.open(this.state.results[this.state.selected]);
+      break;
+    case 27: // escape
+      this.searchInput.blur();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  onkeydown(e) {
+    // The tag browser handles its own keys
+    if(this.state.browsingTags) return;
+
+    if(this.searchInput && e.target === this.searchInput) {
+      this.onSearchKeydown(e);
+      return;
+    }
+
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-this.columns());
+      break;
+    case 40: // down arrow
+      this.moveSelection(this.columns());
+      break;
+    case 37: // left arrow
+      this.moveSelection(-1);
+      break;
+    case 39: // right arrow
+      this.moveSelection(1);
+      break;
+    case 13: // enter
+      this.open(this.state.results[this.state.selected]);
+      break;
+    case 86: // v
+      this.toggleView();
+      break;
+    case 83: // s
+      this.cycleSort();
+      break;
+    case 76: // l
+      this.cycleLanguage();
+      break;
+    case 71: // g
+      this.setBrowsingTags(true);
+      break;
+    case 191: // slash
+      if(this.searchInput) this.searchInput.focus();
+      break;
+    case 27: // escape
+      if(!this.state.query) return;
+      this.clearSearch();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  async componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+
+    // Show what we already know about before re-scanning
+    await this.refresh();
+    await this.scan();
+  }
+
+  componentDidUpdate() {
+    if(!this.base) return;
+    const el = this.base.querySelector('.library-book.selected');
+    if(el) {
+      el.scrollIntoView({block: 'nearest'});
+    }
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props, state) {
+    var status;
+    if(state.scanning) {
+      status = "Scanning for books... " + (state.progress || '');
+    } else if(!this.books.length) {
+      status = "No books found";
+    } else if(!state.results.length) {
+      status = "No matching books";
+    }
+
+    const sortMode = SORT_MODES[state.sort] || SORT_MODES.title;
+
+    return (
+      <div class="library">
+        <h1>Library</h1>
+        <div class="library-controls">
+          <input class="library-search" type="text" placeholder="Search (/)" value={state.query} onInput={this.onSearchInputBound} ref={(el) => this.searchInput = el} />
+          <span class="library-control" onClick={() => this.cycleSort()}>s: sort by {sortMode.label}</span>
+          <span class="library-control" onClick={() => this.cycleLanguage()}>l: language {state.language || "any"}</span>
+          <span class="library-control" onClick={() => this.setBrowsingTags(true)}>g: tag {state.tag || "any"}</span>
+        </div>
+        {(status) ? (
+          <div class="library-status">{status}</div>
+        ) : null}
+        <ul class={'library-list library-' + state.view}>
+          {state.results.map((book, i) => {
+            const thumbnail = state.thumbnails[book.path];
+            return (
+              <li key={book.path} class={'library-book' + ((i === state.selected) ? ' selected' : '')} onClick={this.open.bind(this, book)}>
+                <div class="library-thumbnail" style={{width: thumbnails.WIDTH + 'px', height: thumbnails.HEIGHT + 'px'}}>
+                  {(thumbnail) ? (
+                    <img src={thumbnail} width={thumbnails.WIDTH} height={thumbnails.HEIGHT} />
+                  ) : null}
+                </div>
+                <div class="library-info">
+                  <div class="library-title">{book.title || book.path.replace(/.*\//, '')}</div>
+                  <div class="library-authors">{book.authors.join(', ')}</div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        {(state.browsingTags) ? (
+          <TagBrowser tree={getTagTree(this.books)} current={state.tag} onSelect={this.selectTag.bind(this)} onClose={() => this.setBrowsingTags(false)} />
+        ) : null}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,68 @@
+
+import { h, render, Component } from 'preact';
+
+// Popup showing a footnote or endnote on top of the page
+// Clicking outside of the popup closes it.
+//
+// Props:
+//   note: DocumentFragment with the content of the note (see footnotes.js)
+//   onClose: called when the popup should be closed
+export default class NotePopup extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+    this.onBackgroundClickBound = this.onBackgroundClick.bind(this);
+  }
+
+  onkeydown(e) {
+    switch(e.keyCode) {
+
+    case 27: // escape
+    case 13: // enter
+    case 32: // space
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  onBackgroundClick(e) {
+    if(this.contentElement && this.contentElement.contains(e.target)) return;
+    this.props.onClose();
+  }
+
+  // The note is a DOM fragment so it's inserted directly
+  // rather than rendered by preact
+  showNote() {
+    if(!this.contentElement) return;
+    this.contentElement.innerHTML = '';
+    this.contentElement.appendChild(this.props.note.cloneNode(true));
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+    this.showNote();
+  }
+
+  componentDidUpdate(prevProps) {
+    if(prevProps.note !== this.props.note) {
+      this.showNote();
+    }
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render() {
+    return (
+      <div class="note-popup-background" onClick={this.onBackgroundClickBound}>
+        <div class="note-popup" ref={(el) => { this.contentElement = el; }}></div>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,21 @@
+
+import { h, render, Component } from 'preact';
+
+// Shown instead of the book when it can't be opened,
+// e.g. because it's missing files or isn't a valid epub.
+//
+// Props:
+//   message: what went wrong
+export default class OpenError extends Component {
+
+  render() {
+    return (
+      <div class="open-error">
+        <h1>This book could not be opened</h1>
+        <div class="open-error-text">
+          {this.props.message}
+        </div>
+      </div>
+    );
+  }
+}
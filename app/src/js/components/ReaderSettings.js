@@ -0,0 +1,93 @@
+
+import { h, render, Component } from 'preact';
+import {getTypographyOptions, nextTypographyValue} from '../typography.js';
+
+// Overlay for changing the typography settings (see typography.js)
+//
+// Props:
+//   settings: the current typography settings
+//   fonts: names of extra fonts the user can pick from
+//   onChange: called with the changed settings
+//   onClose: called when the overlay should be closed
+export default class ReaderSettings extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      selected: 0
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  moveSelection(delta) {
+    const options = getTypographyOptions(this.props.fonts);
+    const i = this.state.selected + delta;
+    if(i < 0 || i >= options.length) return;
+    this.setState({
+      selected: i
+    });
+  }
+
+  changeValue(i, delta) {
+    const option = getTypographyOptions(this.props.fonts)[i];
+    if(!option) return;
+    const value = nextTypographyValue(option, this.props.settings[option.key], delta);
+    if(value === this.props.settings[option.key]) return;
+    this.props.onChange(Object.assign({}, this.props.settings, {[option.key]: value}));
+  }
+
+  onkeydown(e) {
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-1);
+      break;
+    case 40: // down arrow
+      this.moveSelection(1);
+      break;
+    case 37: // left arrow
+      this.changeValue(this.state.selected, -1);
+      break;
+    case 39: // right arrow
+      this.changeValue(this.state.selected, 1);
+      break;
+    case 13: // enter
+    case 27: // escape
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props, state) {
+    return (
+      <div class="reader-settings overlay">
+        <h1>Settings</h1>
+        <ul class="reader-settings-list">
+          {getTypographyOptions(props.fonts).map((option, i) => {
+            return (
+              <li key={option.key} class={'reader-setting' + ((i === state.selected) ? ' selected' : '')}>
+                <span class="reader-setting-label">{option.label}</span>
+                <span class="reader-setting-change" onClick={this.changeValue.bind(this, i, -1)}>&lt;</span>
+                <span class="reader-setting-value">{option.format(props.settings[option.key])}</span>
+                <span class="reader-setting-change" onClick={this.changeValue.bind(this, i, 1)}>&gt;</span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }
+}
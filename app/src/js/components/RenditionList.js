@@ -0,0 +1,88 @@
+
+import { h, render, Component } from 'preact';
+import {renditionLabel} from '../renditions.js';
+
+// Overlay for switching between the renditions of an epub
+//
+// Props:
+//   renditions: array of renditions (see renditions.js)
+//   current: index of the rendition currently shown
+//   onSelect: called with the index of the rendition to switch to
+//   onClose: called when the overlay should be closed
+export default class RenditionList extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      selected: props.current || 0
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  moveSelection(delta) {
+    const i = this.state.selected + delta;
+    if(i < 0 || i >= this.props.renditions.length) return;
+    this.setState({
+      selected: i
+    });
+  }
+
+  select(i) {
+    if(i === this.props.current) {
+      this.props.onClose();
+      return;
+    }
+    this.props.onSelect(i);
+  }
+
+  onkeydown(e) {
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-1);
+      break;
+    case 40: // down arrow
+      this.moveSelection(1);
+      break;
+    case 13: // enter
+      this.select(this.state.selected);
+      break;
+    case 27: // escape
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props, state) {
+    return (
+      <div class="renditions overlay">
+        <h1>Renditions</h1>
+        <ul class="rendition-list">
+          {props.renditions.map((rendition, i) => {
+            var className = 'rendition';
+            if(i === state.selected) className += ' selected';
+            if(i === props.current) className += ' current';
+            return (
+              <li key={rendition.path} class={className} onClick={this.select.bind(this, i)}>
+                {renditionLabel(rendition, i)}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }
+}
@@ -5,9 +5,33 @@ import { h, render, Component } from 'preact';
 //import { route } from 'preact-router';
 //import Main from './Main.js';
 const SpinePaginator = require('../spine_paginator.js');
+const actions = require('../actions/index.js');
 import Loading from './Loading.js';
-import OPF from '../opf.js';
-import {parseDOM, parseXML, parseXHTML} from '../parse_dom.js';
+import TopMenu from './TopMenu.js';
+import TOC from './TOC.js';
+import BookmarkList from './BookmarkList.js';
+import RenditionList from './RenditionList.js';
+import DRMNotice from './DRMNotice.js';
+import OpenError from './OpenError.js';
+import ConfirmDialog from './ConfirmDialog.js';
+import NotePopup from './NotePopup.js';
+import ReaderSettings from './ReaderSettings.js';
+import Search from './Search.js';
+import GoToPage from './GoToPage.js';
+import {readEpub, readBinaryFile} from '../epub.js';
+import {isDRMProtected, FontDeobfuscator} from '../encryption.js';
+import {resolveHref, splitFragment} from '../paths.js';
+import {findNote, copyNote} from '../footnotes.js';
+import {getTypographyOptions, loadTypography, saveTypography, typographyCSS, nextTypographyValue} from '../typography.js';
+import {loadTheme, saveTheme, nextTheme, themeLabel, applyTheme, themeCSS} from '../theme.js';
+import {removeFonts} from '../css.js';
+import {getBookID, load, save, hash} from '../storage.js';
+import {loadConfig} from '../config.js';
+import ReadingPosition from '../reading_position.js';
+import Bookmarks from '../bookmarks.js';
+import {getChapterLabel} from '../toc.js';
+import {KeyHandler} from '../keymap.js';
+import {TouchNavigation} from '../touch.js';
 
 export default class Root extends Component {
 
@@ -16,119 +40,535 @@ export default class Root extends Component {
     
     this.state = {
       status: '',
+      error: null, // why the book couldn't be opened
       uri: '',
-      baseuri: props.baseuri
+      baseuri: props.baseuri,
+      overlay: null, // which overlay (if any) is shown on top of the page
+      bookmarked: false, // is the current page bookmarked
+      nonLinear: false, // is a spine item outside the reading order shown
+      typography: loadTypography(), // see typography.js
+      theme: loadTheme() // see theme.js
     }
 
-    // tracks which keys are currently pressed
-    this.keysDown = {};
+    // The last page shown in the linear reading order
+    // which is where "return to reading" goes back to
+    this.readingLocation = null;
+
+    // Runs the actions bound to keys (see keymap.js)
+    // Created once the configuration is loaded.
+    this.keys = null;
+
+    // Runs the actions bound to tap zones and swipes (see touch.js)
+    this.touch = null;
     
     this.onkeydownBound = this.onkeydown.bind(this);
     this.onkeyupBound = this.onkeyup.bind(this);
+    this.closeOverlayBound = this.closeOverlay.bind(this);
+    this.gotoTOCEntryBound = this.gotoTOCEntry.bind(this);
+    this.gotoBookmarkBound = this.gotoBookmark.bind(this);
+    this.deleteBookmarkBound = this.deleteBookmark.bind(this);
+    this.exportBookmarksBound = this.exportBookmarks.bind(this);
+    this.switchRenditionBound = this.switchRendition.bind(this);
+    this.returnToReadingBound = this.returnToReading.bind(this);
+    this.onLinkBound = this.onLink.bind(this);
+    this.onpopstateBound = this.onpopstate.bind(this);
+    this.openExternalLinkBound = this.openExternalLink.bind(this);
+    this.changeTypographyBound = this.changeTypography.bind(this);
+    this.searchBound = this.search.bind(this);
+    this.gotoSearchResultBound = this.gotoSearchResult.bind(this);
+    this.chapterLabelBound = this.chapterLabel.bind(this);
+    this.gotoPercentBound = this.gotoPercent.bind(this);
   }
   
   absoluteURI(relativeURI) {
     return this.state.baseuri + '//' + relativeURI;
   }
 
-  async readOPF(filepath, path, cb) {
-    return new Promise((resolve, reject) => {
-      Fread.getFromZip(filepath, path, false, function(err, str) {
-        if(err) return reject(err);
-        
-        try {
-          var opf = new OPF(str);
-        } catch(err) {
-          return reject(err);
-        }
-        
-        resolve(opf);    
-      });
+  async parseEpub(cb) {
+
+    var filepath = Fread.uriToPath(window.location.href);
+    this.filepath = filepath;
+
+    // Use the rendition the user picked for this book (if any)
+    // or else the one best matching the preferred languages
+    const config = await loadConfig();
+    this.config = config;
+    const rendition = load(this.renditionKey(), null);
+    
+    return await readEpub(filepath, false, (rendition !== null) ? rendition : {languages: config.languages});
+  }
+
+  renditionKey() {
+    return 'rendition.' + hash(this.filepath);
+  }
+
+  // Remember the choice of rendition and re-open the book
+  switchRendition(index) {
+    this.closeOverlay();
+    save(this.renditionKey(), index);
+    if(this.position) {
+      this.position.flush();
+    }
+    window.location.reload();
+  }
+
+  openOverlay(name) {
+    // The overlay takes over the keyboard
+    if(this.keys) this.keys.reset();
+    this.setState({
+      overlay: name
     });
   }
 
-  // Returns the path to the Package Document (.opf file)
-  // for the first representation found in `META-INF/container.xml`
-  async readContainerXML(filepath, cb) {
-    return new Promise((resolve, reject) => {
-      Fread.getFromZip(filepath, 'META-INF/container.xml', false, function(err, str) {
-        if(err) return reject(err);
-
-        try {
-          var doc = parseXML(str);
-        } catch(err) {
-          return reject(err);
-        }
-
-        var els = doc.querySelectorAll("container > rootfiles > rootfile");
-        console.log("rootfiles:", els);
-        
-        if(els.length < 1) {
-          return reject(new Error("This work appears to have no representations listed in its META-INF/container.xml file"));
-        }
-        if(els.length > 1) {
-          // TODO handle multiple representations
-          console.log("Note: This epub has more than one representation but we're only showing the first (default) representation. This is allowed by the epub 3.0.1 standard but we should do better.");
-        }
-
-        var el = els[0];
-        var opfPath = el.getAttribute('full-path');
-        if(!opfPath) {
-          return reject(new Error("Failed to find the Package Document (.opf) file path"));
-        }
-
-        if(opfPath[0] === '/') {
-          opfPath = opfPath.slice(1);
-        }
-
-        resolve(opfPath);
-        
-      });
+  closeOverlay() {
+    this.setState({
+      overlay: null
     });
   }
 
+  async gotoTOCEntry(entry) {
+    this.closeOverlay();
+    await this.paginator.load(entry.href, entry.fragment);
+    this.onPageChange();
+  }
 
-  
-  async parseEpub(cb) {
+  async nextPage() {
+    await this.paginator.nextPage();
+    this.onPageChange(true);
+  }
 
-    var filepath = Fread.uriToPath(window.location.href);
-    
-    const opfPath = await this.readContainerXML(filepath);
-      
-    return await this.readOPF(filepath, opfPath);
+  async prevPage() {
+    await this.paginator.prevPage();
+    this.onPageChange(true);
   }
 
-  onkeydown(e) {
+  async nextChapter() {
+    await this.paginator.nextSpineItem();
+    this.onPageChange();
+  }
 
-    switch(e.keyCode) {
-      
-    case 32: // space
-    case 39: // right arrow
+  async prevChapter() {
+    await this.paginator.prevSpineItem();
+    this.onPageChange();
+  }
 
-      if(this.keysDown[e.keyCode]) break;
-      this.keysDown[e.keyCode] = true;
-      this.paginator.nextPage();
-      break;
-    case 37: // left arrow
-      if(this.keysDown[e.keyCode]) break;
-      this.keysDown[e.keyCode] = true;
-      this.paginator.prevPage();
-      break;
+  chapterLabel(spineIndex) {
+    return getChapterLabel(this.opf.toc, this.paginator.spine, spineIndex);
+  }
+
+  async search(query) {
+    return await this.paginator.search(query);
+  }
+
+  async gotoSearchResult(result) {
+    this.closeOverlay();
+    await this.goToLocation(result);
+  }
+
+  // Go to a percentage of the way through the book.
+  // This is only accurate to the nearest spine item.
+  async gotoPercent(percent) {
+    this.closeOverlay();
+    const linear = [];
+    var i;
+    for(i=0; i < this.paginator.spine.length; i++) {
+      if(this.paginator.isLinear(i)) linear.push(i);
+    }
+    if(!linear.length) return;
+    i = Math.min(Math.floor(percent / 100 * linear.length), linear.length - 1);
+    await this.paginator.load(linear[i]);
+    this.onPageChange();
+  }
+
+  // Turn the page towards the 'left' or 'right' side of the screen.
+  // In right-to-left books the next page is to the left.
+  async turnPage(side) {
+    if((side === 'right') !== this.rtl) {
+      await this.nextPage();
+    } else {
+      await this.prevPage();
+    }
+  }
+
+  // Called after every page turn or jump to a new location.
+  // `pageTurn` is true if the page was turned using next or previous page.
+  onPageChange(pageTurn) {
+    // Non-linear items (e.g. answer keys) are side trips
+    // so they don't change the reading position
+    const nonLinear = this.paginator.isNonLinear();
+    if(!nonLinear) {
+      this.readingLocation = {
+        spineIndex: this.paginator.spineIndex,
+        cfi: this.paginator.getCFI()
+      };
+      if(this.position) {
+        this.position.update(this.readingLocation.spineIndex, this.readingLocation.cfi);
+      }
+    }
+    this.setState({
+      bookmarked: this.currentPageBookmarks().length > 0,
+      nonLinear: nonLinear
+    });
+    // The page is in an iframe so the display isn't updated automatically.
+    // Only page turns count towards the next full refresh.
+    const epaper = window.app.epaper;
+    if(epaper) {
+      const page = document.getElementById('page');
+      if(pageTurn) {
+        epaper.pageTurn(page);
+      } else {
+        epaper.markElement(page, 'partial');
+      }
+    }
+  }
+
+  // Get the current location as {spineIndex, cfi}
+  currentLocation() {
+    return {
+      spineIndex: this.paginator.spineIndex,
+      cfi: this.paginator.getCFI()
+    };
+  }
+
+  // Go to a location returned by currentLocation()
+  async goToLocation(loc) {
+    try {
+      if(loc.cfi) {
+        await this.paginator.goToCFI(loc.cfi);
+      } else {
+        await this.paginator.load(loc.spineIndex);
+      }
+    } catch(err) {
+      console.error("Failed to go to location:", err);
+      return;
+    }
+    this.onPageChange();
+  }
+
+  // Go back to the reading order from a non-linear spine item.
+  // Returns false if not on a non-linear spine item.
+  returnToReading() {
+    if(!this.paginator.isNonLinear() || !this.readingLocation) return false;
+    this.goToLocation(this.readingLocation);
+    return true;
+  }
+
+  // Called by the paginator when a link in the book is clicked
+  // (see SpinePaginator's onLink option)
+  async onLink(link) {
+    if(!link.external) {
+      if(await this.showNote(link)) return;
+      await this.followLink(link);
+      return;
+    }
+    if(!link.uri.match(/^https?:/i)) {
+      console.log("Not following link with unsupported scheme:", link.uri);
+      return;
+    }
+    this.externalLink = link.uri;
+    this.openOverlay('external-link');
+  }
+
+  // If the link points at a footnote or endnote then show it in a popup.
+  // Returns false if it isn't a note.
+  async showNote(link) {
+    if(!link.fragment || link.spineIndex < 0) return false;
+    try {
+      const doc = await this.paginator.getDocument(link.uri);
+      const note = findNote(doc, link.fragment, link.noteref);
+      if(!note) return false;
+      this.note = copyNote(note, document);
+    } catch(err) {
+      console.error("Failed to load note:", err);
+      return false;
+    }
+    this.openOverlay('note');
+    return true;
+  }
+
+  // Follow a link to somewhere in the book.
+  // The location the link was followed from is kept in the browser history
+  // so going back (alt-left) returns to it.
+  async followLink(link) {
+    if(link.spineIndex < 0) {
+      console.log("Link target is not in the spine:", link.uri);
+      return;
+    }
+    const from = this.currentLocation();
+
+    try {
+      await this.paginator.load(link.spineIndex, link.fragment);
+    } catch(err) {
+      console.error("Failed to follow link:", err);
+      // Stay where we were
+      await this.goToLocation(from);
+      return;
+    }
+    this.onPageChange();
+
+    history.replaceState(from, '');
+    history.pushState(this.currentLocation(), '');
+  }
+
+  // Called when going back or forward through the history
+  // of followed links
+  onpopstate(e) {
+    if(!e.state || !this.paginator) return;
+    this.goToLocation(e.state);
+  }
+
+  // Leave the book and open a web page in browser mode
+  openExternalLink() {
+    this.closeOverlay();
+    if(this.position) {
+      this.position.flush();
+    }
+    window.location.href = this.externalLink;
+  }
+
+  // Get the bookmarks on the currently shown page
+  currentPageBookmarks() {
+    if(!this.bookmarks) return [];
+    return this.bookmarks.list().filter((bookmark) => {
+      return this.paginator.isCFIOnCurrentPage(bookmark.cfi);
+    });
+  }
+
+  // Add a bookmark for the current page
+  // or remove it if the page is already bookmarked
+  toggleBookmark() {
+    if(!this.bookmarks) return;
+    const existing = this.currentPageBookmarks();
+    var bookmark;
+    if(existing.length) {
+      for(bookmark of existing) {
+        this.bookmarks.remove(bookmark.cfi);
+      }
+    } else {
+      const spineIndex = this.paginator.spineIndex;
+      this.bookmarks.add(
+        spineIndex,
+        this.paginator.getCFI(),
+        this.paginator.getPageText(),
+        getChapterLabel(this.opf.toc, this.paginator.spine, spineIndex)
+      );
+    }
+    this.setState({
+      bookmarked: this.currentPageBookmarks().length > 0
+    });
+  }
+
+  async gotoBookmark(bookmark) {
+    this.closeOverlay();
+    try {
+      await this.paginator.goToCFI(bookmark.cfi);
+    } catch(err) {
+      console.error("Failed to go to bookmark:", err);
+      return;
+    }
+    this.onPageChange();
+  }
+
+  deleteBookmark(bookmark) {
+    this.bookmarks.remove(bookmark.cfi);
+    this.setState({
+      bookmarked: this.currentPageBookmarks().length > 0
+    });
+  }
+
+  // Let the user download the bookmarks as a JSON file
+  exportBookmarks() {
+    const blob = new Blob([this.bookmarks.exportJSON(this.opf)], {type: 'application/json'});
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'bookmarks.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  // Called by the paginator with the CSS of each spine item
+  // (see SpinePaginator's processCSS option)
+  async processCSS(css, href, docURI) {
+    // Books with iBooks display options only get to use
+    // their own fonts if they ask for it
+    const displayOptions = this.opf.displayOptions;
+    if(displayOptions && !displayOptions.specifiedFonts) {
+      return removeFonts(css);
+    }
+
+    const docPath = resolveHref(this.opf.opfPath, docURI);
+    return await this.fonts.processCSS(css, (href) ? resolveHref(docPath, href) : docPath);
+  }
+
+  // Go to the saved reading position (if any)
+  // Returns false if there was no saved position or it was invalid
+  async restorePosition() {
+    const saved = this.position.get();
+    if(!saved) return false;
+
+    try {
+      await this.paginator.goToCFI(saved.cfi);
+      return true;
+    } catch(err) {
+      console.error("Failed to restore reading position:", err);
+    }
+    if(saved.spineIndex >= 0 && saved.spineIndex < this.paginator.spine.length) {
+      await this.paginator.load(saved.spineIndex);
+      return true;
+    }
+    return false;
+  }
+
+  menuItems() {
+    const items = [
+      {label: "Table of contents", action: () => this.openOverlay('toc')},
+      {label: (this.state.bookmarked) ? "Remove bookmark" : "Add bookmark", action: () => {
+        this.closeOverlay();
+        this.toggleBookmark();
+      }},
+      {label: "Bookmarks", action: () => this.openOverlay('bookmarks')}
+    ];
+    if(this.opf && this.opf.renditions.length > 1) {
+      items.push({label: "Renditions", action: () => this.openOverlay('renditions')});
+    }
+    items.push({label: "Settings", action: () => this.openOverlay('settings')});
+    items.push({label: "Theme: " + themeLabel(this.state.theme), action: () => this.changeTheme(nextTheme(this.state.theme))});
+    return items;
+  }
+
+  // The CSS injected into the book's content
+  userCSS(typography, theme) {
+    const themeOpts = (this.config) ? this.config.theme : {};
+    return typographyCSS(typography) + themeCSS(theme, themeOpts);
+  }
+
+  // Switch to another theme and remember it.
+  // Colors don't change the layout so no re-pagination is needed.
+  async changeTheme(theme) {
+    saveTheme(theme);
+    applyTheme(theme);
+    this.setState({
+      theme: theme
+    });
+    if(this.paginator) {
+      await this.paginator.setUserCSS(this.userCSS(this.state.typography, theme));
+    }
+    // Everything changes color so clear the ghosting too
+    if(window.app.epaper) {
+      window.app.epaper.refreshScreen('full');
+    }
+  }
+
+  // Apply and remember new typography settings
+  async changeTypography(settings) {
+    saveTypography(settings);
+    this.setState({
+      typography: settings
+    });
+    if(!this.paginator) return;
+    await this.paginator.setUserCSS(this.userCSS(settings, this.state.theme));
+    await this.relayout();
+  }
+
+  // Change the font size by `delta` steps.
+  // Returns false if the font size didn't change.
+  changeFontSize(delta) {
+    // Fixed layout pages are zoomed instead
+    if(this.paginator && this.paginator.fixed) return false;
+    const option = getTypographyOptions().find((o) => o.key === 'fontSize');
+    const fontSize = nextTypographyValue(option, this.state.typography.fontSize, delta);
+    if(fontSize === this.state.typography.fontSize) return false;
+    this.changeTypography(Object.assign({}, this.state.typography, {fontSize}));
+    return true;
+  }
+
+  // Re-paginate after the typography changed.
+  // Changes made while this is running cause another re-pagination
+  // once it's done rather than running at the same time.
+  async relayout() {
+    if(this.relayouting) {
+      this.relayoutQueued = true;
+      return;
+    }
+    this.relayouting = true;
+    do {
+      this.relayoutQueued = false;
+      await this.paginator.relayout();
+    } while(this.relayoutQueued);
+    this.relayouting = false;
+    this.onPageChange();
+  }
+  
+  // Register the reader's commands as actions that keys can be bound to.
+  // Zoom and pan actions return false unless a fixed layout page is shown
+  // so the keys they share with other actions fall through to those.
+  // Actions that may not apply must return false right away
+  // rather than from a promise (see actions/index.js).
+  registerActions() {
+    const reader = {
+      'next-page': ["Next page", () => this.nextPage()],
+      'prev-page': ["Previous page", () => this.prevPage()],
+      'page-left': ["Turn the page to the left (next page in right-to-left books)", () => this.turnPage('left')],
+      'page-right': ["Turn the page to the right (previous page in right-to-left books)", () => this.turnPage('right')],
+      'next-chapter': ["Next chapter", () => this.nextChapter()],
+      'prev-chapter': ["Previous chapter", () => this.prevChapter()],
+      'menu': ["Top menu", () => this.openOverlay('menu')],
+      'toc': ["Table of contents", () => this.openOverlay('toc')],
+      'bookmark': ["Add/remove bookmark", () => this.toggleBookmark()],
+      'bookmarks': ["List of bookmarks", () => this.openOverlay('bookmarks')],
+      'search': ["Search the book", () => this.openOverlay('search')],
+      'settings': ["Reader settings", () => this.openOverlay('settings')],
+      'go-to-page': ["Go to page", () => this.openOverlay('go-to-page')],
+      'theme': ["Switch to the next theme", () => this.changeTheme(nextTheme(this.state.theme))],
+      'return-to-reading': ["Return to reading from a non-linear item", () => this.returnToReading()],
+      'font-size-up': ["Bigger font", () => this.changeFontSize(1)],
+      'font-size-down': ["Smaller font", () => this.changeFontSize(-1)],
+      'zoom-in': ["Zoom in on a fixed layout page", () => this.paginator.zoomIn()],
+      'zoom-out': ["Zoom out on a fixed layout page", () => this.paginator.zoomOut()],
+      'reset-zoom': ["Reset zoom of a fixed layout page", () => this.paginator.resetZoom()],
+      'pan-left': ["Pan left while zoomed in", () => this.paginator.pan(-0.5, 0)],
+      'pan-right': ["Pan right while zoomed in", () => this.paginator.pan(0.5, 0)],
+      'pan-up': ["Pan up while zoomed in", () => this.paginator.pan(0, -0.5)],
+      'pan-down': ["Pan down while zoomed in", () => this.paginator.pan(0, 0.5)]
+    };
+    this.actionNames = Object.keys(reader);
+    var name;
+    for(name of this.actionNames) {
+      actions.register(name, reader[name][1], reader[name][0]);
+    }
+  }
+
+  unregisterActions() {
+    var name;
+    for(name of this.actionNames || []) {
+      actions.unregister(name);
+    }
+  }
+  
+  onkeydown(e) {
+    // Overlays handle their own keys
+    if(this.state.overlay || !this.keys) return;
+
+    if(this.keys.onkeydown(e)) {
+      e.preventDefault();
     }
-    
   }
 
   onkeyup(e) {
-    switch(e.keyCode) {
-      
-    case 32: // space
-    case 39: // right arrow
-    case 37: // left arrow
-      
-      if(!this.keysDown[e.keyCode]) break;
-      delete this.keysDown[e.keyCode]
+    if(!this.keys) return;
+
+    if(this.keys.onkeyup(e)) {
+      e.preventDefault();
     }
+  }
 
+  // Taps and swipes are ignored until the book is loaded
+  // and while an overlay is shown
+  runTouchAction(name) {
+    if(this.state.overlay || !this.actionNames) return false;
+    return actions.run(name);
   }
   
   async componentDidMount() {
@@ -136,15 +576,34 @@ export default class Root extends Component {
       var opf = await this.parseEpub();
     } catch(err) {
       console.error(err);
+      this.setState({
+        status: 'ERROR',
+        error: err.message
+      });
+      return;
+    }
+    this.opf = opf;
+    this.rtl = (opf.spine.pageProgressionDirection === 'rtl');
+
+    const spinePaths = opf.spine.items.map((href) => resolveHref(opf.opfPath, href));
+    if(isDRMProtected(opf.encryption, spinePaths)) {
+      this.setState({
+        status: 'DRM'
+      });
       return;
     }
+    this.fonts = new FontDeobfuscator(opf.encryption, opf, (path) => readBinaryFile(this.filepath, path));
 
     var curURI;
-    
-    if(opf.coverPage) {
+
+    // Many books mark their cover page as non-linear
+    // and opening the book at a side trip would leave
+    // nothing for "return to reading" to go back to
+    const coverIndex = (opf.coverPage) ? opf.spine.items.indexOf(splitFragment(opf.coverPage).href) : -1;
+    if(opf.coverPage && (coverIndex < 0 || opf.spine.linear[coverIndex] !== false)) {
       curURI = opf.coverPage
     } else {
-      curURI = opf.spine.items[0]
+      curURI = opf.spine.items[Math.max(opf.spine.linear.indexOf(true), 0)]
     }
       
     this.setState({
@@ -153,6 +612,12 @@ export default class Root extends Component {
     
     const pageElementID = "page";
 
+    // Devices without a keyboard are paged by touch.
+    // The content is in iframes so SpinePaginator hands us
+    // each document to listen for touches on.
+    this.touch = new TouchNavigation(document.getElementById(pageElementID), (name) => this.runTouchAction(name), this.config.touch, {
+      rtl: this.rtl
+    });
 
     this.paginator = new SpinePaginator(pageElementID, opf.spine.items, {
       columnLayout: false,
@@ -160,20 +625,55 @@ export default class Root extends Component {
       cacheForwardPagination: false,
       loadScripts: false,
       detectEncoding: true,
-      preprocessCSS: true,
-      baseURI: document.baseURI + '//'
+      preprocessCSS: false, // SpinePaginator loads and processes the CSS itself
+      baseURI: document.baseURI + '//',
+      cfiBases: opf.spine.cfiBases,
+      linear: opf.spine.linear,
+      layout: opf.rendition.layout,
+      layouts: opf.getSpineLayouts(),
+      direction: opf.spine.pageProgressionDirection,
+      pageSpreads: opf.spine.items.map((item, i) => opf.getSpineItemRendition(i).pageSpread),
+      spreads: opf.spine.items.map((item, i) => opf.getSpineItemRendition(i).spread),
+      processCSS: this.processCSS.bind(this),
+      onLink: this.onLinkBound,
+      onDocument: (doc) => this.touch.attach(doc),
+      userCSS: this.userCSS(this.state.typography, this.state.theme)
     });
     
-    await this.paginator.load(curURI);
+    const bookID = getBookID(opf, this.filepath);
+    this.position = new ReadingPosition(bookID);
+    this.bookmarks = new Bookmarks(bookID);
+    if(!(await this.restorePosition())) {
+      await this.paginator.load(curURI);
+    }
+    this.onPageChange();
+
+    this.registerActions();
+    this.keys = new KeyHandler((name) => actions.run(name), this.config.keyboard);
     
     document.addEventListener('keydown', this.onkeydownBound);
     document.addEventListener('keyup', this.onkeyupBound)
+    window.addEventListener('popstate', this.onpopstateBound);
 
   }
 
   componentWillUnmount() {
+    if(this.touch) {
+      this.touch.detach(document.getElementById('page'));
+    }
     document.removeEventListener('keydown', this.onkeydownBound);
     document.removeEventListener('keyup', this.onkeyupBound);
+    window.removeEventListener('popstate', this.onpopstateBound);
+    this.unregisterActions();
+    if(this.keys) {
+      this.keys.reset();
+    }
+    if(this.position) {
+      this.position.close();
+    }
+    if(this.fonts) {
+      this.fonts.close();
+    }
   }
 
     
@@ -184,9 +684,84 @@ export default class Root extends Component {
         <Loading />
       );
     }
+
+    if(this.state.status == 'DRM') {
+      return (
+        <DRMNotice />
+      );
+    }
+
+    if(this.state.status == 'ERROR') {
+      return (
+        <OpenError message={this.state.error} />
+      );
+    }
+    
+    var overlay;
+    switch(state.overlay) {
+    case 'menu':
+      overlay = (
+        <TopMenu items={this.menuItems()} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'toc':
+      if(!this.opf || !this.paginator) break;
+      overlay = (
+        <TOC toc={this.opf.toc} spine={this.paginator.spine} spineIndex={this.paginator.spineIndex} onSelect={this.gotoTOCEntryBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'bookmarks':
+      if(!this.bookmarks) break;
+      overlay = (
+        <BookmarkList bookmarks={this.bookmarks.list()} onSelect={this.gotoBookmarkBound} onDelete={this.deleteBookmarkBound} onExport={this.exportBookmarksBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'renditions':
+      if(!this.opf) break;
+      overlay = (
+        <RenditionList renditions={this.opf.renditions} current={this.opf.renditionIndex} onSelect={this.switchRenditionBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'settings':
+      overlay = (
+        <ReaderSettings settings={state.typography} fonts={(this.config) ? this.config.typography.fonts : []} onChange={this.changeTypographyBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'search':
+      if(!this.paginator) break;
+      overlay = (
+        <Search onSearch={this.searchBound} getChapterLabel={this.chapterLabelBound} onSelect={this.gotoSearchResultBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'go-to-page':
+      if(!this.opf) break;
+      overlay = (
+        <GoToPage pageList={this.opf.pageList} onSelectPage={this.gotoTOCEntryBound} onSelectPercent={this.gotoPercentBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'note':
+      overlay = (
+        <NotePopup note={this.note} onClose={this.closeOverlayBound} />
+      );
+      break;
+    case 'external-link':
+      overlay = (
+        <ConfirmDialog title="Open web page?" message={"The link leads to " + this.externalLink + " which will be opened in the browser."} onConfirm={this.openExternalLinkBound} onClose={this.closeOverlayBound} />
+      );
+      break;
+    }
     
     return (
-      <div id="page"></div>
+      <div class={(this.rtl) ? 'rtl' : ''}>
+        <div id="page"></div>
+        {(state.bookmarked) ? (
+          <div class="bookmark-marker"></div>
+        ) : null}
+        {(state.nonLinear) ? (
+          <div class="return-to-reading" onClick={this.returnToReadingBound}>Return to reading (backspace)</div>
+        ) : null}
+        {overlay}
+      </div>
     );
 
   }
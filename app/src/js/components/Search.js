@@ -0,0 +1,140 @@
+
+import { h, render, Component } from 'preact';
+
+// Overlay for searching the text of the book
+//
+// Props:
+//   onSearch: called with the query, must return a promise of results
+//             of the form [{spineIndex, cfi, excerpt}]
+//   getChapterLabel: called with a spine index to get the chapter name
+//   onSelect: called with the result to go to
+//   onClose: called when the overlay should be closed
+export default class Search extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      query: '',
+      results: null, // null until a search has been done
+      searching: false,
+      selected: 0
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+    this.onInputBound = this.onInput.bind(this);
+  }
+
+  async search() {
+    const query = this.state.query.trim();
+    if(!query || this.state.searching) return;
+    this.setState({
+      searching: true
+    });
+    var results = [];
+    try {
+      results = await this.props.onSearch(query);
+    } catch(err) {
+      console.error("Search failed:", err);
+    }
+    this.setState({
+      searching: false,
+      results: results,
+      selected: 0
+    });
+    // Let the arrow keys move through the results
+    if(results.length && this.input) this.input.blur();
+  }
+
+  onInput(e) {
+    this.setState({
+      query: e.target.value
+    });
+  }
+
+  moveSelection(delta) {
+    const results = this.state.results || [];
+    const i = this.state.selected + delta;
+    if(i < 0 || i >= results.length) return;
+    this.setState({
+      selected: i
+    });
+  }
+
+  select(result) {
+    if(!result) return;
+    this.props.onSelect(result);
+  }
+
+  onkeydown(e) {
+    const typing = (this.input && e.target === this.input);
+
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-1);
+      break;
+    case 40: // down arrow
+      this.moveSelection(1);
+      break;
+    case 13: // enter
+      if(typing || !this.state.results) {
+        this.search();
+      } else {
+        this.select(this.state.results[this.state.selected]);
+      }
+      break;
+    case 191: // slash
+      if(typing) return;
+      this.input.focus();
+      break;
+    case 27: // escape
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+    if(this.input) this.input.focus();
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props, state) {
+    var status;
+    if(state.searching) {
+      status = "Searching...";
+    } else if(state.results && !state.results.length) {
+      status = "Nothing found";
+    }
+    
+    return (
+      <div class="search overlay">
+        <h1>Search</h1>
+        <input class="search-input" type="text" placeholder="Search the book (enter)" value={state.query} onInput={this.onInputBound} ref={(el) => this.input = el} />
+        {(status) ? (
+          <div class="search-status">{status}</div>
+        ) : null}
+        <ul class="search-results">
+          {(state.results || []).map((result, i) => {
+            const label = props.getChapterLabel(result.spineIndex);
+            return (
+              <li key={result.cfi} class={'search-result' + ((i === state.selected) ? ' selected' : '')} onClick={this.select.bind(this, result)}>
+                {(label) ? (
+                  <div class="search-result-chapter">{label}</div>
+                ) : null}
+                <div class="search-result-excerpt">{result.excerpt}</div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,213 @@
+
+import { h, render, Component } from 'preact';
+import {findChapterKey, getEntry} from '../toc.js';
+
+// Table of contents overlay
+//
+// Entries are identified by their key (see toc.js)
+//
+// Props:
+//   toc: tree of {label, href, fragment, children} (see parse_ncx.js)
+//   spine: array of spine item paths
+//   spineIndex: index into `spine` of the currently shown item
+//   onSelect: called with the toc entry to jump to
+//   onClose: called when the overlay should be closed
+export default class TOC extends Component {
+
+  constructor(props) {
+    super(props);
+
+    const current = findChapterKey(props.toc, props.spine || [], props.spineIndex);
+
+    // Expand the ancestors of the current chapter
+    const expanded = {};
+    if(current) {
+      let parts = current.split('.');
+      let i;
+      for(i=1; i < parts.length; i++) {
+        expanded[parts.slice(0, i).join('.')] = true;
+      }
+    }
+
+    this.state = {
+      expanded: expanded,
+      selected: current || '0',
+      current: current
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  getEntry(key) {
+    return getEntry(this.props.toc, key);
+  }
+
+  // Get the keys of all currently visible entries in display order
+  visibleKeys() {
+    const keys = [];
+    const expanded = this.state.expanded;
+
+    function walk(entries, prefix) {
+      var i, key;
+      for(i=0; i < entries.length; i++) {
+        if(entries[i].hidden) continue;
+        key = prefix + i;
+        keys.push(key);
+        if(expanded[key]) {
+          walk(entries[i].children, key + '.');
+        }
+      }
+    }
+    walk(this.props.toc || [], '');
+    return keys;
+  }
+
+  hasChildren(entry) {
+    if(!entry) return false;
+    return entry.children.some((child) => !child.hidden);
+  }
+
+  setExpanded(key, expanded) {
+    this.setState({
+      expanded: Object.assign({}, this.state.expanded, {[key]: expanded})
+    });
+  }
+
+  moveSelection(delta) {
+    const keys = this.visibleKeys();
+    var i = keys.indexOf(this.state.selected) + delta;
+    if(i < 0 || i >= keys.length) return;
+    this.setState({
+      selected: keys[i]
+    });
+  }
+
+  activate(key) {
+    const entry = this.getEntry(key);
+    if(!entry) return;
+
+    // Entries without a link are just headings for their children
+    if(!entry.href) {
+      this.setExpanded(key, !this.state.expanded[key]);
+      return;
+    }
+    this.props.onSelect(entry);
+  }
+
+  onkeydown(e) {
+    const key = this.state.selected;
+    const entry = this.getEntry(key);
+
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-1);
+      break;
+    case 40: // down arrow
+      this.moveSelection(1);
+      break;
+    case 39: // right arrow
+      if(!this.hasChildren(entry)) break;
+      if(!this.state.expanded[key]) {
+        this.setExpanded(key, true);
+      } else {
+        this.moveSelection(1);
+      }
+      break;
+    case 37: // left arrow
+      if(this.state.expanded[key]) {
+        this.setExpanded(key, false);
+      } else if(key.indexOf('.') >= 0) {
+        this.setState({
+          selected: key.slice(0, key.lastIndexOf('.'))
+        });
+      }
+      break;
+    case 13: // enter
+      this.activate(key);
+      break;
+    case 27: // escape
+    case 84: // t
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+    this.scrollToSelected();
+  }
+
+  componentDidUpdate() {
+    this.scrollToSelected();
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  scrollToSelected() {
+    if(!this.base) return;
+    const el = this.base.querySelector('.toc-entry.selected');
+    if(el) {
+      el.scrollIntoView({block: 'nearest'});
+    }
+  }
+
+  onEntryClick(key, e) {
+    this.setState({
+      selected: key
+    });
+    this.activate(key);
+  }
+
+  onToggleClick(key, e) {
+    e.stopPropagation();
+    this.setExpanded(key, !this.state.expanded[key]);
+  }
+
+  renderEntries(entries, prefix) {
+    return (
+      <ul class="toc-list">
+        {entries.map((entry, i) => {
+          if(entry.hidden) return null;
+
+          const key = prefix + i;
+          const expandable = this.hasChildren(entry);
+          const expanded = expandable && this.state.expanded[key];
+          var className = 'toc-entry';
+          if(key === this.state.selected) className += ' selected';
+          if(key === this.state.current) className += ' current';
+
+          return (
+            <li key={key}>
+              <div class={className} onClick={this.onEntryClick.bind(this, key)}>
+                <span class="toc-toggle" onClick={this.onToggleClick.bind(this, key)}>
+                  {expandable ? (expanded ? '-' : '+') : ''}
+                </span>
+                <span class="toc-label">{entry.label}</span>
+              </div>
+              {expanded ? this.renderEntries(entry.children, key + '.') : null}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  render(props, state) {
+    const toc = props.toc || [];
+
+    return (
+      <div class="toc overlay">
+        <h1>Table of contents</h1>
+        {(toc.length) ? this.renderEntries(toc, '') : (
+          <div class="toc-empty">This book has no table of contents</div>
+        )}
+      </div>
+    );
+  }
+}
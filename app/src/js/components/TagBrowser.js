@@ -0,0 +1,206 @@
+
+import { h, render, Component } from 'preact';
+import {TAG_SEPARATOR} from '../library.js';
+
+// Overlay for browsing the library by tag
+//
+// Entries are identified by their tag (see library_search.js getTagTree())
+// and the "All books" entry by the empty string.
+//
+// Props:
+//   tree: tree of {name, tag, count, children} (see getTagTree())
+//   current: the tag currently filtered by (or null)
+//   onSelect: called with the tag to filter by, or null for all books
+//   onClose: called when the overlay should be closed
+export default class TagBrowser extends Component {
+
+  constructor(props) {
+    super(props);
+
+    // Expand the ancestors of the current tag
+    const expanded = {};
+    const current = props.current || '';
+    var node;
+    for(node of this.ancestors(current)) {
+      expanded[node.tag] = true;
+    }
+
+    this.state = {
+      expanded: expanded,
+      selected: current
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  // Get the nodes on the path to `tag`, excluding the node for `tag` itself
+  ancestors(tag) {
+    const path = [];
+    var nodes = this.props.tree;
+    var node;
+    while(nodes) {
+      node = nodes.find((n) => tag === n.tag || tag.indexOf(n.tag + TAG_SEPARATOR) === 0);
+      if(!node || node.tag === tag) break;
+      path.push(node);
+      nodes = node.children;
+    }
+    return path;
+  }
+
+  findNode(tag) {
+    const path = this.ancestors(tag);
+    const nodes = (path.length) ? path[path.length - 1].children : this.props.tree;
+    return nodes.find((n) => n.tag === tag) || null;
+  }
+
+  // Get the tags of all currently visible entries in display order
+  visibleTags() {
+    const tags = [''];
+    const expanded = this.state.expanded;
+
+    function walk(nodes) {
+      var node;
+      for(node of nodes) {
+        tags.push(node.tag);
+        if(expanded[node.tag]) {
+          walk(node.children);
+        }
+      }
+    }
+    walk(this.props.tree);
+    return tags;
+  }
+
+  setExpanded(tag, expanded) {
+    this.setState({
+      expanded: Object.assign({}, this.state.expanded, {[tag]: expanded})
+    });
+  }
+
+  moveSelection(delta) {
+    const tags = this.visibleTags();
+    var i = tags.indexOf(this.state.selected) + delta;
+    if(i < 0 || i >= tags.length) return;
+    this.setState({
+      selected: tags[i]
+    });
+  }
+
+  select(tag) {
+    this.props.onSelect(tag || null);
+  }
+
+  onkeydown(e) {
+    const tag = this.state.selected;
+    const node = this.findNode(tag);
+
+    switch(e.keyCode) {
+
+    case 38: // up arrow
+      this.moveSelection(-1);
+      break;
+    case 40: // down arrow
+      this.moveSelection(1);
+      break;
+    case 39: // right arrow
+      if(!node || !node.children.length) break;
+      if(!this.state.expanded[tag]) {
+        this.setExpanded(tag, true);
+      } else {
+        this.moveSelection(1);
+      }
+      break;
+    case 37: // left arrow
+      if(this.state.expanded[tag]) {
+        this.setExpanded(tag, false);
+      } else {
+        let path = this.ancestors(tag);
+        if(path.length) {
+          this.setState({
+            selected: path[path.length - 1].tag
+          });
+        }
+      }
+      break;
+    case 13: // enter
+      this.select(tag);
+      break;
+    case 27: // escape
+    case 71: // g
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+    this.scrollToSelected();
+  }
+
+  componentDidUpdate() {
+    this.scrollToSelected();
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  scrollToSelected() {
+    if(!this.base) return;
+    const el = this.base.querySelector('.toc-entry.selected');
+    if(el) {
+      el.scrollIntoView({block: 'nearest'});
+    }
+  }
+
+  onToggleClick(tag, e) {
+    e.stopPropagation();
+    this.setExpanded(tag, !this.state.expanded[tag]);
+  }
+
+  renderEntry(tag, label, expandable) {
+    const expanded = expandable && this.state.expanded[tag];
+    var className = 'toc-entry';
+    if(tag === this.state.selected) className += ' selected';
+    if(tag === (this.props.current || '')) className += ' current';
+
+    return (
+      <div class={className} onClick={this.select.bind(this, tag)}>
+        <span class="toc-toggle" onClick={this.onToggleClick.bind(this, tag)}>
+          {expandable ? (expanded ? '-' : '+') : ''}
+        </span>
+        <span class="toc-label">{label}</span>
+      </div>
+    );
+  }
+
+  renderNodes(nodes) {
+    return (
+      <ul class="toc-list">
+        {nodes.map((node) => {
+          return (
+            <li key={node.tag}>
+              {this.renderEntry(node.tag, node.name + ' (' + node.count + ')', node.children.length > 0)}
+              {(this.state.expanded[node.tag]) ? this.renderNodes(node.children) : null}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  render(props, state) {
+    return (
+      <div class="toc tags overlay">
+        <h1>Tags</h1>
+        {this.renderEntry('', "All books", false)}
+        {(props.tree.length) ? this.renderNodes(props.tree) : (
+          <div class="toc-empty">None of the books have tags</div>
+        )}
+      </div>
+    );
+  }
+}
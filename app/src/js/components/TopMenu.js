@@ -0,0 +1,76 @@
+
+import { h, render, Component } from 'preact';
+
+// Menu bar shown at the top of the screen
+//
+// Props:
+//   items: array of {label, action} where action() is called on selection
+//   onClose: called when the menu should be closed
+export default class TopMenu extends Component {
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      selected: 0
+    };
+
+    this.onkeydownBound = this.onkeydown.bind(this);
+  }
+
+  select(i) {
+    const item = this.props.items[i];
+    if(!item) return;
+    item.action();
+  }
+
+  onkeydown(e) {
+    const count = this.props.items.length;
+
+    switch(e.keyCode) {
+
+    case 37: // left arrow
+      this.setState({
+        selected: (this.state.selected + count - 1) % count
+      });
+      break;
+    case 39: // right arrow
+      this.setState({
+        selected: (this.state.selected + 1) % count
+      });
+      break;
+    case 13: // enter
+      this.select(this.state.selected);
+      break;
+    case 27: // escape
+    case 77: // m
+      this.props.onClose();
+      break;
+    default:
+      return;
+    }
+    e.preventDefault();
+  }
+
+  componentDidMount() {
+    document.addEventListener('keydown', this.onkeydownBound);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('keydown', this.onkeydownBound);
+  }
+
+  render(props, state) {
+    return (
+      <div class="top-menu">
+        {props.items.map((item, i) => {
+          return (
+            <div class={'top-menu-item' + ((i === state.selected) ? ' selected' : '')} onClick={this.select.bind(this, i)}>
+              {item.label}
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+}
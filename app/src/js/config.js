@@ -0,0 +1,76 @@
+'use strict';
+
+// Loads the app configuration from `config.json` in the web app directory
+// (app/static/) and merges it over the defaults below.
+// If the file is missing or invalid then the defaults are used.
+
+const CONFIG_URI = 'ebook://config.json';
+
+const defaults = {
+  // Preferred languages, most preferred first, e.g. ["da", "en"].
+  // Used to pick between the renditions of multilingual books.
+  // If empty the languages of the system are used.
+  languages: [],
+  keyboard: {
+    // How long in milliseconds a key must be held down
+    // to trigger a longPress binding
+    longPressDelay: 600,
+    // Keys bound to actions, merged over the default keymap
+    // (see keymap.js)
+    keymap: {}
+  },
+  // Tap zones and swipe gestures, merged over the defaults
+  // in touch.js, e.g. {"tapZones": [...], "swipes": {"up": "menu"}}
+  touch: {},
+  // E-paper display updates, merged over the defaults in epaper.js,
+  // e.g. {"fullRefreshEvery": 10}
+  epaper: {},
+  theme: {
+    // How images are shown in the dark theme:
+    // 'original', 'dimmed' or 'inverted' (good for line art on e-paper)
+    darkImages: 'original'
+  },
+  typography: {
+    // Names of extra fonts to offer in the reader settings,
+    // e.g. fonts the user has installed in ~/.fonts/
+    fonts: []
+  },
+  library: {
+    // Directories to scan for ebooks
+    directories: []
+  }
+};
+
+var config;
+
+// Recursively merge the properties of `src` into a copy of `dest`.
+// Arrays are replaced rather than merged.
+function merge(dest, src) {
+  const o = Object.assign({}, dest);
+  var key;
+  for(key in src) {
+    if(src[key] && typeof src[key] === 'object' && !Array.isArray(src[key])
+       && o[key] && typeof o[key] === 'object' && !Array.isArray(o[key])) {
+      o[key] = merge(o[key], src[key]);
+    } else {
+      o[key] = src[key];
+    }
+  }
+  return o;
+}
+
+async function loadConfig() {
+  if(config) return config;
+
+  try {
+    const resp = await fetch(new Request(CONFIG_URI));
+    const str = await resp.text();
+    config = merge(defaults, JSON.parse(str));
+  } catch(err) {
+    console.log("Using default configuration since " + CONFIG_URI + " could not be loaded:", err.message);
+    config = merge(defaults, {});
+  }
+  return config;
+}
+
+export {loadConfig, merge};
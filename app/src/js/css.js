@@ -0,0 +1,148 @@
+'use strict';
+
+// Changes made to the CSS of books before it is shown
+
+// Matches url() references in CSS
+const cssURLRegex = new RegExp(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g);
+
+const fontFaceRegex = new RegExp(/@font-face\s*\{[^}]*\}/gi);
+const fontFamilyRegex = new RegExp(/(^|[{;\s])font-family\s*:[^;}]*;?/gi);
+
+// Remove the fonts specified by the publisher
+// so the reader's default fonts are used instead
+function removeFonts(css) {
+  return css.replace(fontFaceRegex, '').replace(fontFamilyRegex, '$1');
+}
+
+// The -epub- prefixed properties from EPUB 3.0 as specified here:
+// https://w3c.github.io/publ-epub-revision/epub32/spec/epub-contentdocs.html#sec-css-prefixed
+// mapped to the properties WebKit understands.
+// Some values also changed when the properties were standardized.
+const epubProperties = {
+  'hyphens': ['hyphens', '-webkit-hyphens'],
+  'line-break': ['line-break', '-webkit-line-break'],
+  'text-align-last': ['text-align-last'],
+  'word-break': ['word-break'],
+  'writing-mode': ['writing-mode', '-webkit-writing-mode'],
+  'text-orientation': ['text-orientation', '-webkit-text-orientation'],
+  'text-emphasis': ['text-emphasis', '-webkit-text-emphasis'],
+  'text-emphasis-color': ['text-emphasis-color', '-webkit-text-emphasis-color'],
+  'text-emphasis-position': ['text-emphasis-position', '-webkit-text-emphasis-position'],
+  'text-emphasis-style': ['text-emphasis-style', '-webkit-text-emphasis-style'],
+  'text-underline-position': ['text-underline-position', '-webkit-text-underline-position'],
+  'text-combine': ['text-combine-upright', '-webkit-text-combine'],
+  'text-combine-horizontal': ['text-combine-upright', '-webkit-text-combine'],
+  'ruby-position': ['ruby-position', '-webkit-ruby-position']
+};
+
+const textOrientationValues = {
+  'vertical-right': 'mixed',
+  'sideways-right': 'sideways',
+  'rotate-right': 'sideways',
+  'rotate-normal': 'sideways'
+};
+
+// New value for the properties above where it changed, by property.
+// The -webkit- prefixed copies get the new values too.
+const epubValues = {
+  'text-orientation': textOrientationValues,
+  '-webkit-text-orientation': textOrientationValues,
+  'text-underline-position': {
+    'alphabetic': 'auto'
+  },
+  'text-combine-upright': {
+    'horizontal': 'all'
+  },
+  '-webkit-ruby-position': {
+    'over': 'before',
+    'under': 'after'
+  }
+};
+
+// -epub- prefixed values of unprefixed properties, e.g.
+// text-transform: -epub-fullsize-kana
+const epubPropertyValues = {
+  'text-transform': {
+    'fullsize-kana': 'full-size-kana'
+  }
+};
+
+const epubPrefixRegex = new RegExp(/-epub-/i);
+
+// Matches either a string or comment (which are left alone),
+// a -epub- prefixed declaration or a declaration with a -epub- prefixed value.
+// The declaration must be preceded by {, ; or whitespace so
+// it can't be part of a longer property name.
+const epubDeclRegex = new RegExp(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\/\*[\s\S]*?\*\/)|(^|[{;\s])(?:-epub-([a-z-]+)|([a-z-]+)(?=\s*:[^;{}]*-epub-))\s*:\s*([^;}]*)/gi);
+
+function epubDeclaration(prop, value) {
+  prop = prop.toLowerCase();
+  value = value.trim();
+  const m = value.match(/^(.*?)\s*(!important)?$/i);
+  const important = (m[2]) ? ' !important' : '';
+  const keyword = m[1].toLowerCase();
+
+  // Unknown properties just lose the prefix
+  const props = epubProperties[prop] || [prop];
+  return props.map((p) => {
+    const values = epubValues[p];
+    const v = (values && values[keyword]) ? values[keyword] : m[1];
+    return p + ': ' + v + important;
+  }).join('; ');
+}
+
+// Rewrite the -epub- prefixed keywords in the value of `prop`.
+// Declarations without any known ones are returned as `decl`.
+function epubValueDeclaration(prop, value, decl) {
+  const values = epubPropertyValues[prop.toLowerCase()];
+  if(!values) return decl;
+  var changed = false;
+  value = value.replace(/-epub-([a-z-]+)/gi, (match, keyword) => {
+    const v = values[keyword.toLowerCase()];
+    if(!v) return match;
+    changed = true;
+    return v;
+  });
+  return (changed) ? prop + ': ' + value : decl;
+}
+
+// Rewrite -epub- prefixed properties to their standard
+// or -webkit- prefixed equivalents.
+// This is a single regex pass rather than a full CSS parser
+// to keep memory use low.
+function normalizeEpubCSS(css) {
+  if(!css || !epubPrefixRegex.test(css)) return css;
+
+  epubDeclRegex.lastIndex = 0;
+  return css.replace(epubDeclRegex, (match, skip, before, prop, unprefixed, value) => {
+    if(skip) return match;
+    if(unprefixed) {
+      return before + epubValueDeclaration(unprefixed, value, match.slice(before.length));
+    }
+    return before + epubDeclaration(prop, value);
+  });
+}
+
+// Rewrite -epub- prefixed properties in the style= attributes of `doc`
+function normalizeEpubStyles(doc) {
+  const els = doc.querySelectorAll('[style]');
+  var el, style;
+  for(el of els) {
+    style = el.getAttribute('style');
+    if(!epubPrefixRegex.test(style)) continue;
+    el.setAttribute('style', normalizeEpubCSS(style));
+  }
+}
+
+// Rewrite the relative url() references in `css` using `resolve(uri)`,
+// e.g. to make them absolute when the CSS is moved to another file.
+// Absolute URIs (including data: and blob: URIs) are left alone.
+function resolveCSSURLs(css, resolve) {
+  return css.replace(cssURLRegex, (match, quote, uri) => {
+    uri = uri.trim();
+    if(uri.match(/^[a-z][a-z0-9+\-.]*:/i) || uri[0] === '#') return match;
+    return 'url("' + resolve(uri) + '")';
+  });
+}
+
+export {cssURLRegex, removeFonts, normalizeEpubCSS, normalizeEpubStyles, resolveCSSURLs};
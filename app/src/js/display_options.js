@@ -0,0 +1,75 @@
+'use strict';
+
+// Parsing of META-INF/com.apple.ibooks.display-options.xml
+//
+// This is a proprietary Apple iBooks extension but it's
+// common in retail epubs. It looks like:
+//
+//   <display_options>
+//     <platform name="*">
+//       <option name="specified-fonts">true</option>
+//       <option name="fixed-layout">true</option>
+//       <option name="open-to-spread">false</option>
+//       <option name="orientation-lock">landscape-only</option>
+//     </platform>
+//   </display_options>
+//
+// where the platform name is '*' for all platforms, 'ipad' or 'iphone'.
+
+import {parseXML} from './parse_dom.js';
+
+// Platforms to take options from, least important first.
+// Options for the iPad are the closest match for an e-reader.
+const platforms = ['iphone', 'ipad', '*'];
+
+function parseBoolean(str) {
+  return (str || '').trim().toLowerCase() === 'true';
+}
+
+// Parse the display options into:
+// {
+//   specifiedFonts: true, // use the fonts specified by the publisher
+//   fixedLayout: false,
+//   openToSpread: false,
+//   orientationLock: 'landscape-only', // or 'portrait-only' or null
+//   interactive: false,
+//   options: {...} // all options as name -> string value
+// }
+function parseDisplayOptions(str) {
+  const doc = parseXML(str);
+  const els = doc.querySelectorAll("display_options > platform");
+
+  const byPlatform = {};
+  var el, name, option;
+  for(el of els) {
+    name = (el.getAttribute('name') || '*').toLowerCase();
+    if(!byPlatform[name]) byPlatform[name] = {};
+    for(option of el.querySelectorAll("option")) {
+      if(!option.getAttribute('name')) continue;
+      byPlatform[name][option.getAttribute('name')] = option.textContent.trim();
+    }
+  }
+
+  // Use the options for unknown platforms if that's all there is
+  var options = {};
+  for(name in byPlatform) {
+    if(platforms.indexOf(name) < 0) {
+      options = Object.assign(options, byPlatform[name]);
+    }
+  }
+  for(name of platforms) {
+    options = Object.assign(options, byPlatform[name] || {});
+  }
+
+  const orientationLock = options['orientation-lock'];
+  return {
+    specifiedFonts: parseBoolean(options['specified-fonts']),
+    fixedLayout: parseBoolean(options['fixed-layout']),
+    openToSpread: parseBoolean(options['open-to-spread']),
+    orientationLock: (orientationLock && orientationLock !== 'none') ? orientationLock : null,
+    interactive: parseBoolean(options['interactive']),
+    options: options
+  };
+}
+
+export {parseDisplayOptions};
@@ -0,0 +1,292 @@
+'use strict';
+
+// Handling of META-INF/encryption.xml
+//
+// The file lists resources inside the epub that are encrypted, e.g:
+//
+//   <encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container"
+//               xmlns:enc="http://www.w3.org/2001/04/xmlenc#">
+//     <enc:EncryptedData>
+//       <enc:EncryptionMethod Algorithm="http://www.idpf.org/2008/embedding"/>
+//       <enc:CipherData>
+//         <enc:CipherReference URI="OEBPS/fonts/font.otf"/>
+//       </enc:CipherData>
+//     </enc:EncryptedData>
+//   </encryption>
+//
+// Fonts are often "obfuscated" to discourage copying them out of the epub.
+// That is not real encryption since the key is derived from the book's
+// identifier so we can undo it. Anything else is assumed to be DRM
+// which we can't read.
+//
+// Font obfuscation is specified here:
+// http://www.idpf.org/epub/20/spec/FontManglingSpec.html
+// and Adobe's older variant is described here:
+// https://wiki.mobileread.com/wiki/Epub#Font_Obfuscation
+
+import {parseXML} from './parse_dom.js';
+import {resolveHref, splitFragment} from './paths.js';
+import {cssURLRegex} from './css.js';
+
+const IDPF_ALGORITHM = 'http://www.idpf.org/2008/embedding';
+const ADOBE_ALGORITHM = 'http://ns.adobe.com/pdf/enc#RC';
+
+// How many bytes at the start of a font are obfuscated
+const obfuscatedLength = {
+  [IDPF_ALGORITHM]: 1040,
+  [ADOBE_ALGORITHM]: 1024
+};
+
+function decodeURL(url) {
+  try {
+    return decodeURI(url);
+  } catch(err) {
+    return url;
+  }
+}
+
+// Parse encryption.xml into an array of encrypted resources like:
+// {
+//   path: 'OEBPS/fonts/font.otf', // relative to the root of the epub
+//   algorithm: 'http://www.idpf.org/2008/embedding'
+// }
+function parseEncryptionXML(str) {
+  const doc = parseXML(str);
+  // Use getElementsByTagNameNS() since the enc: prefix
+  // could be anything and querySelector doesn't support namespaces
+  const els = doc.getElementsByTagNameNS('*', 'EncryptedData');
+
+  const entries = [];
+  var el, method, ref, uri;
+  for(el of els) {
+    method = el.getElementsByTagNameNS('*', 'EncryptionMethod')[0];
+    ref = el.getElementsByTagNameNS('*', 'CipherReference')[0];
+    if(!ref) continue;
+    uri = ref.getAttribute('URI');
+    if(!uri) continue;
+
+    entries.push({
+      path: resolveHref('', decodeURL(uri)),
+      algorithm: (method) ? method.getAttribute('Algorithm') : null
+    });
+  }
+  return entries;
+}
+
+function isObfuscatedFont(entry) {
+  return !!obfuscatedLength[entry.algorithm];
+}
+
+// Get the entries that are encrypted using something we can't undo
+function getDRMEntries(entries) {
+  return entries.filter((entry) => !isObfuscatedFont(entry));
+}
+
+// Is any of the content documents in `paths` unreadable due to DRM?
+// `paths` are relative to the root of the epub.
+function isDRMProtected(entries, paths) {
+  const drm = getDRMEntries(entries);
+  return drm.some((entry) => paths.indexOf(entry.path) >= 0);
+}
+
+function utf8Bytes(str) {
+  return Array.from(unescape(encodeURIComponent(str)), (c) => c.charCodeAt(0));
+}
+
+// SHA-1 hash of an array of bytes.
+// Implemented here since crypto.subtle is only available
+// in secure contexts which our URI scheme is not.
+function sha1(bytes) {
+  const msg = bytes.slice();
+  const bitLength = bytes.length * 8;
+  msg.push(0x80);
+  while(msg.length % 64 !== 56) {
+    msg.push(0);
+  }
+  var i;
+  for(i=7; i >= 0; i--) {
+    // bitLength won't exceed 32 bits for our inputs
+    msg.push((i >= 4) ? 0 : (bitLength >>> (i * 8)) & 0xff);
+  }
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Array(80);
+  var chunk, a, b, c, d, e, f, k, tmp;
+  for(chunk=0; chunk < msg.length; chunk += 64) {
+    for(i=0; i < 16; i++) {
+      w[i] = (msg[chunk + i*4] << 24) | (msg[chunk + i*4 + 1] << 16) | (msg[chunk + i*4 + 2] << 8) | msg[chunk + i*4 + 3];
+    }
+    for(i=16; i < 80; i++) {
+      tmp = w[i-3] ^ w[i-8] ^ w[i-14] ^ w[i-16];
+      w[i] = (tmp << 1) | (tmp >>> 31);
+    }
+    [a, b, c, d, e] = h;
+    for(i=0; i < 80; i++) {
+      if(i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if(i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if(i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      tmp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = tmp;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+  }
+
+  const out = [];
+  for(i=0; i < 20; i++) {
+    out.push((h[Math.floor(i / 4)] >>> (24 - (i % 4) * 8)) & 0xff);
+  }
+  return out;
+}
+
+// The IDPF key is the SHA-1 of the unique identifier with whitespace removed
+function idpfKey(opf) {
+  const id = (opf.identifiers.UUID || '').replace(/[ \u0009\u000d\u000a]/g, '');
+  return sha1(utf8Bytes(id));
+}
+
+// The Adobe key is the bytes of the first urn:uuid identifier
+function adobeKey(opf) {
+  const els = opf.getMetas('dc:identifier');
+  var el, hex, i;
+  for(el of els) {
+    hex = el.textContent.trim().replace(/^urn:uuid:/i, '').replace(/-/g, '');
+    if(!hex.match(/^[0-9a-f]{32}$/i)) continue;
+    const key = [];
+    for(i=0; i < 32; i += 2) {
+      key.push(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return key;
+  }
+  return null;
+}
+
+// XOR the start of `data` (a Uint8Array) with `key`
+function deobfuscate(data, key, length) {
+  const end = Math.min(length, data.length);
+  var i;
+  for(i=0; i < end; i++) {
+    data[i] ^= key[i % key.length];
+  }
+  return data;
+}
+
+// Makes obfuscated fonts usable by the browser.
+//
+// Since the browser fetches fonts referenced by CSS directly
+// from our URI scheme it would get the obfuscated version,
+// so the CSS is rewritten to reference blob: URIs
+// of deobfuscated copies instead.
+class FontDeobfuscator {
+
+  // `readBinaryFile(path)` must return a promise of an ArrayBuffer
+  // for a file inside the epub.
+  constructor(entries, opf, readBinaryFile) {
+    this.opf = opf;
+    this.readBinaryFile = readBinaryFile;
+    this.fonts = {}; // path -> algorithm
+    this.blobURIs = {}; // path -> promise of blob URI
+    this.mediaTypes = {}; // path -> media type
+
+    var entry;
+    for(entry of entries) {
+      if(isObfuscatedFont(entry)) {
+        this.fonts[entry.path] = entry.algorithm;
+      }
+    }
+
+    var id, path;
+    for(id in opf.manifest) {
+      path = resolveHref(opf.opfPath, decodeURL(opf.manifest[id].href));
+      this.mediaTypes[path] = opf.manifest[id].mediaType;
+    }
+  }
+
+  hasFonts() {
+    return Object.keys(this.fonts).length > 0;
+  }
+
+  getKey(algorithm) {
+    if(algorithm === IDPF_ALGORITHM) {
+      if(!this.idpfKey) this.idpfKey = idpfKey(this.opf);
+      return this.idpfKey;
+    }
+    if(!this.adobeKey) this.adobeKey = adobeKey(this.opf);
+    return this.adobeKey;
+  }
+
+  async load(path) {
+    const algorithm = this.fonts[path];
+    const key = this.getKey(algorithm);
+    if(!key) {
+      throw new Error("No identifier to deobfuscate font with: " + path);
+    }
+    const data = new Uint8Array(await this.readBinaryFile(path));
+    deobfuscate(data, key, obfuscatedLength[algorithm]);
+    const blob = new Blob([data], {type: this.mediaTypes[path] || 'application/octet-stream'});
+    return URL.createObjectURL(blob);
+  }
+
+  // Get a blob: URI for the deobfuscated font at `path`
+  getURI(path) {
+    if(!this.blobURIs[path]) {
+      this.blobURIs[path] = this.load(path);
+    }
+    return this.blobURIs[path];
+  }
+
+  // Rewrite url() references to obfuscated fonts in `css`.
+  // `cssPath` is the path of the CSS file (or the document containing it)
+  // relative to the root of the epub.
+  async processCSS(css, cssPath) {
+    if(!this.hasFonts()) return css;
+
+    const replacements = {};
+    var m, path;
+    cssURLRegex.lastIndex = 0;
+    while((m = cssURLRegex.exec(css))) {
+      path = splitFragment(resolveHref(cssPath, decodeURL(m[2].trim()))).href.replace(/\?.*/, '');
+      if(!this.fonts[path] || replacements[m[2]]) continue;
+      try {
+        replacements[m[2]] = await this.getURI(path);
+      } catch(err) {
+        console.error("Failed to deobfuscate font " + path + ":", err);
+      }
+    }
+
+    return css.replace(cssURLRegex, (match, quote, uri) => {
+      if(!replacements[uri]) return match;
+      return 'url("' + replacements[uri] + '")';
+    });
+  }
+
+  // Free the memory used by the deobfuscated fonts
+  async close() {
+    var path;
+    for(path in this.blobURIs) {
+      try {
+        URL.revokeObjectURL(await this.blobURIs[path]);
+      } catch(err) {}
+    }
+    this.blobURIs = {};
+  }
+}
+
+export {IDPF_ALGORITHM, ADOBE_ALGORITHM, parseEncryptionXML, getDRMEntries, isDRMProtected, sha1, deobfuscate, FontDeobfuscator};
@@ -0,0 +1,240 @@
+'use strict';
+
+// Schedules updates of the e-paper display (see Fread.update in
+// web_extensions/fread.js).
+//
+// Changed (dirty) regions of the screen are collected for a short while
+// and overlapping or nearby regions are merged so e.g. a page turn that
+// also changes the bookmark marker results in a single update.
+//
+// The update method (waveform) of a region is the best one requested
+// for any part of it:
+//   fast: changes to the app's own UI (menus, selections)
+//   partial: page turns, images and anything revealed by closing an overlay
+//   full: every `fullRefreshEvery` page turns and on theme changes,
+//         flashing the screen to clear the ghosting left by partial updates
+
+const METHODS = ['fast', 'partial', 'full'];
+
+const DEFAULT_EPAPER_CONFIG = {
+  enabled: true,
+  // Flash the whole screen every this many page turns (0 to never do it)
+  fullRefreshEvery: 6,
+  // Milliseconds to wait for more changes before updating the display
+  delay: 50,
+  // Regions closer than this (in CSS pixels) are merged
+  mergeDistance: 16,
+  // Update the whole screen instead when the dirty regions
+  // cover more than this fraction of it
+  fullScreenThreshold: 0.5
+};
+
+// Elements containing these are updated with at least
+// the 'partial' method since 'fast' is black and white only
+const GRAYSCALE_SELECTOR = 'img, svg, canvas, video, iframe, object, embed';
+
+function methodRank(method) {
+  const rank = METHODS.indexOf(method);
+  return (rank < 0) ? 1 : rank;
+}
+
+function bestMethod(a, b) {
+  return (methodRank(a) >= methodRank(b)) ? a : b;
+}
+
+function area(r) {
+  return (r.right - r.left) * (r.bottom - r.top);
+}
+
+// Are regions `a` and `b` overlapping or less than `distance` apart?
+function isNear(a, b, distance) {
+  return (a.left - distance < b.right && b.left - distance < a.right
+          && a.top - distance < b.bottom && b.top - distance < a.bottom);
+}
+
+function union(a, b) {
+  return {
+    left: Math.min(a.left, b.left),
+    top: Math.min(a.top, b.top),
+    right: Math.max(a.right, b.right),
+    bottom: Math.max(a.bottom, b.bottom),
+    method: bestMethod(a.method, b.method)
+  };
+}
+
+// Add `region` to `regions`, merging it with every region near it.
+// Returns the new array of regions.
+function mergeRegion(regions, region, distance) {
+  var merged = true;
+  var i;
+  regions = regions.slice();
+  while(merged) {
+    merged = false;
+    for(i=0; i < regions.length; i++) {
+      if(isNear(regions[i], region, distance)) {
+        region = union(regions[i], region);
+        regions.splice(i, 1);
+        merged = true;
+        break;
+      }
+    }
+  }
+  regions.push(region);
+  return regions;
+}
+
+class UpdateScheduler {
+
+  // `update(x, y, width, height, method)` updates a part of the display,
+  // e.g. Fread.update() or a function that logs the updates
+  constructor(update, config) {
+    this.update = update;
+    this.configure(config);
+
+    this.regions = []; // dirty regions as {left, top, right, bottom, method}
+    this.timer = null;
+    this.pageTurns = 0; // page turns since the last full refresh
+    this.observer = null;
+  }
+
+  // Change the configuration, e.g. once config.json has been loaded
+  configure(config) {
+    this.config = Object.assign({}, DEFAULT_EPAPER_CONFIG, config || {});
+  }
+
+  getScreenRect() {
+    return {left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight};
+  }
+
+  // Mark the rectangle {x, y, width, height} (in CSS pixels relative
+  // to the top-level window) as needing an update using `method`
+  markDirty(rect, method) {
+    if(!this.config.enabled) return;
+    const screen = this.getScreenRect();
+    const region = {
+      left: Math.max(rect.x, screen.left),
+      top: Math.max(rect.y, screen.top),
+      right: Math.min(rect.x + rect.width, screen.right),
+      bottom: Math.min(rect.y + rect.height, screen.bottom),
+      method: method || 'partial'
+    };
+    if(region.right <= region.left || region.bottom <= region.top) return;
+
+    this.regions = mergeRegion(this.regions, region, this.config.mergeDistance);
+    this.schedule();
+  }
+
+  // Mark the part of the screen showing `element` as needing an update.
+  // Elements showing images are never updated using the 'fast' method.
+  markElement(element, method) {
+    if(!element || !element.getBoundingClientRect) return;
+    method = method || 'fast';
+    if(method === 'fast' && (element.matches(GRAYSCALE_SELECTOR) || element.querySelector(GRAYSCALE_SELECTOR))) {
+      method = 'partial';
+    }
+    this.markDirty(Fread.getElementRect(element), method);
+  }
+
+  refreshScreen(method) {
+    const screen = this.getScreenRect();
+    this.markDirty({x: 0, y: 0, width: screen.right, height: screen.bottom}, method || 'full');
+  }
+
+  // Call after the page was turned to the next or previous page.
+  // `element` is the element showing the page.
+  // Other changes to the page should use markElement() instead.
+  pageTurn(element) {
+    if(!this.config.enabled) return;
+    this.pageTurns++;
+    const every = this.config.fullRefreshEvery;
+    if(every && this.pageTurns >= every) {
+      this.pageTurns = 0;
+      this.refreshScreen('full');
+      return;
+    }
+    if(element) {
+      this.markElement(element, 'partial');
+    } else {
+      this.refreshScreen('partial');
+    }
+  }
+
+  schedule() {
+    if(this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.config.delay);
+  }
+
+  // Update the dirty regions of the display now
+  flush() {
+    if(this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    var regions = this.regions;
+    this.regions = [];
+    if(!regions.length) return;
+
+    // Many small updates are slower than one big one
+    const screen = this.getScreenRect();
+    const dirtyArea = regions.reduce((sum, r) => sum + area(r), 0);
+    if(regions.length > 1 && dirtyArea > area(screen) * this.config.fullScreenThreshold) {
+      const method = regions.reduce((m, r) => bestMethod(m, r.method), 'partial');
+      regions = [Object.assign({}, screen, {method: method})];
+    }
+
+    var r;
+    for(r of regions) {
+      if(r.method === 'full') this.pageTurns = 0;
+      try {
+        this.update(r.left, r.top, r.right - r.left, r.bottom - r.top, r.method);
+      } catch(err) {
+        console.error("Display update failed:", err);
+      }
+    }
+  }
+
+  // Mark the app's UI as dirty whenever it changes.
+  // Changes inside iframes (e.g. the book's pages) aren't seen
+  // so those must be marked using pageTurn() or markElement().
+  observe(root) {
+    if(this.observer || !window.MutationObserver) return;
+    this.observer = new MutationObserver((mutations) => this.onmutations(mutations));
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true
+    });
+  }
+
+  disconnect() {
+    if(!this.observer) return;
+    this.observer.disconnect();
+    this.observer = null;
+  }
+
+  onmutations(mutations) {
+    var m, node, added;
+    for(m of mutations) {
+      node = (m.target.nodeType === Node.ELEMENT_NODE) ? m.target : m.target.parentElement;
+      if(!node) continue;
+      if(m.type !== 'childList') {
+        this.markElement(node, 'fast');
+        continue;
+      }
+      if(m.removedNodes.length) {
+        // Whatever was under the removed nodes is shown again
+        this.markElement(node, 'partial');
+        continue;
+      }
+      for(added of m.addedNodes) {
+        this.markElement((added.nodeType === Node.ELEMENT_NODE) ? added : node, 'fast');
+      }
+    }
+  }
+}
+
+export {DEFAULT_EPAPER_CONFIG, mergeRegion, UpdateScheduler};
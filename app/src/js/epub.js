@@ -0,0 +1,137 @@
+'use strict';
+
+// Functions for reading and parsing the files inside an epub
+
+import OPF from './opf.js';
+import {parseContainerXML, selectRendition} from './renditions.js';
+import {parseEncryptionXML} from './encryption.js';
+import {parseDisplayOptions} from './display_options.js';
+import {dirname} from './paths.js';
+
+const ENCRYPTION_XML_PATH = 'META-INF/encryption.xml';
+const DISPLAY_OPTIONS_PATH = 'META-INF/com.apple.ibooks.display-options.xml';
+
+async function readOPF(filepath, path) {
+  const str = await readFile(filepath, path);
+  return new OPF(str);
+}
+
+// Read a text file from inside the epub.
+// Rejects if the file doesn't exist.
+async function readFile(filepath, path) {
+  return await Fread.getFromZip(filepath, path, false);
+}
+
+// Read a binary file from the epub into an ArrayBuffer
+async function readBinaryFile(filepath, path) {
+  const blob = await Fread.getFromZip(filepath, path, true);
+  return await new Response(blob).arrayBuffer();
+}
+
+// Returns the encrypted resources listed in `META-INF/encryption.xml`
+// (see encryption.js) or an empty array if there is no such file
+async function readEncryptionXML(filepath, files) {
+  files = files || await Fread.zipLs(filepath);
+  if(files.indexOf(ENCRYPTION_XML_PATH) < 0) return [];
+
+  const str = await readFile(filepath, ENCRYPTION_XML_PATH);
+  return parseEncryptionXML(str);
+}
+
+// Returns the iBooks display options (see display_options.js)
+// or null if the epub doesn't have them
+async function readDisplayOptions(filepath, files) {
+  files = files || await Fread.zipLs(filepath);
+  if(files.indexOf(DISPLAY_OPTIONS_PATH) < 0) return null;
+
+  const str = await readFile(filepath, DISPLAY_OPTIONS_PATH);
+  try {
+    return parseDisplayOptions(str);
+  } catch(err) {
+    console.error("Failed to parse iBooks display options:", err);
+    return null;
+  }
+}
+
+// Read and parse the NCX table of contents (if any)
+// into the `opf` object
+async function readNCX(filepath, opfPath, opf) {
+  const href = opf.getNCXHref();
+  if(!href) return opf;
+
+  const str = await readFile(filepath, dirname(opfPath) + href);
+  opf.setNCX(str);
+  return opf;
+}
+
+// Read and parse the EPUB 3 Navigation Document (if any)
+// into the `opf` object
+async function readNav(filepath, opfPath, opf) {
+  const href = opf.getNavHref();
+  if(!href) return opf;
+
+  const str = await readFile(filepath, dirname(opfPath) + href);
+  opf.setNav(str);
+  return opf;
+}
+
+// Returns the renditions listed in `META-INF/container.xml`
+// (see renditions.js)
+async function readContainerXML(filepath) {
+  const str = await readFile(filepath, 'META-INF/container.xml');
+  return parseContainerXML(str);
+}
+
+// Read and parse the metadata of the epub at `filepath`.
+// Returns the OPF object with the following properties set:
+//   opfPath: the path of the .opf file inside the epub
+//   renditions: all renditions of the epub (see renditions.js)
+//   renditionIndex: the index of the rendition that was read
+//   encryption: the encrypted resources (see encryption.js)
+//   displayOptions: iBooks display options or null (see display_options.js)
+// Unless `skipTOC` is true the table of contents is also parsed.
+//
+// `rendition` is the index of the rendition to read or, if it isn't
+// a valid index, the preferences used to select one (see selectRendition())
+async function readEpub(filepath, skipTOC, rendition) {
+  const renditions = await readContainerXML(filepath);
+
+  var renditionIndex = rendition;
+  if(typeof rendition !== 'number' || !renditions[rendition]) {
+    renditionIndex = selectRendition(renditions, (typeof rendition === 'object') ? rendition : null);
+  }
+  const opfPath = renditions[renditionIndex].path;
+
+  const opf = await readOPF(filepath, opfPath);
+  opf.opfPath = opfPath;
+  opf.renditions = renditions;
+  opf.renditionIndex = renditionIndex;
+
+  const files = await Fread.zipLs(filepath);
+  opf.encryption = await readEncryptionXML(filepath, files);
+  opf.displayOptions = await readDisplayOptions(filepath, files);
+
+  // EPUB 2 has no way to specify a fixed layout
+  // so many fixed layout EPUB 2 books rely on iBooks' option instead
+  if(opf.displayOptions && opf.displayOptions.fixedLayout && !(opf.version >= 3)) {
+    opf.rendition.layout = 'pre-paginated';
+  }
+
+  if(skipTOC) return opf;
+
+  // A broken table of contents shouldn't prevent reading the book
+  try {
+    await readNav(filepath, opfPath, opf);
+  } catch(err) {
+    console.error("Failed to parse Navigation Document:", err);
+  }
+  try {
+    await readNCX(filepath, opfPath, opf);
+  } catch(err) {
+    console.error("Failed to parse NCX:", err);
+  }
+
+  return opf;
+}
+
+export {readFile, readBinaryFile, readOPF, readNCX, readNav, readContainerXML, readEncryptionXML, readDisplayOptions, readEpub};
@@ -0,0 +1,282 @@
+'use strict';
+
+// Shows pre-paginated (fixed layout) spine items such as comic
+// or children's book pages scaled to fit the screen.
+//
+// Unlike reflowable content this is not run through ebook-paginator.
+// Each document is loaded as-is into an iframe which is given
+// the size specified by the document's viewport, e.g:
+//
+//   <meta name="viewport" content="width=1200, height=1600"/>
+//
+// and then scaled using a CSS transform.
+// Either a single page or a two-page spread is shown
+// and it can be zoomed in and panned around to read small text.
+//
+// Since the browser loads the documents and their CSS directly,
+// opts.processDocument(doc) is called for each loaded document
+// before it is shown, which lets SpinePaginator process its CSS.
+
+// Zoom levels relative to the size that fits the screen
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4];
+
+// Used if the document specifies no size and we can't measure it
+const DEFAULT_VIEWPORT = {width: 1200, height: 1600};
+
+// Parse the content of a <meta name="viewport"> tag
+// like "width=1200, height=1600" into {width: 1200, height: 1600}
+// Returns null if it doesn't specify both a width and a height.
+function parseViewport(content) {
+  const o = {};
+  var part, m;
+  for(part of (content || '').split(/[,;]/)) {
+    m = part.match(/^\s*(width|height)\s*=\s*([\d\.]+)/i);
+    if(m) {
+      o[m[1].toLowerCase()] = parseFloat(m[2]);
+    }
+  }
+  if(!o.width || !o.height) return null;
+  return o;
+}
+
+function createIframe() {
+  const iframeElement = document.createElement('iframe');
+  iframeElement.sandbox = "allow-same-origin";
+  iframeElement.scrolling = 'no';
+  iframeElement.style.position = 'absolute';
+  iframeElement.style.top = '0';
+  iframeElement.style.left = '0';
+  iframeElement.style.border = 'none';
+  iframeElement.style.overflow = 'hidden';
+  iframeElement.style.transformOrigin = '0 0';
+  iframeElement.style.display = 'none';
+  return iframeElement;
+}
+
+function loadIframe(iframeElement, uri) {
+  return new Promise((resolve, reject) => {
+    iframeElement.onload = () => resolve();
+    iframeElement.onerror = () => reject(new Error("Failed to load: " + uri));
+    iframeElement.src = uri;
+  });
+}
+
+class FixedLayoutView {
+
+  constructor(containerElement, opts) {
+    this.opts = opts || {};
+    this.containerElement = containerElement;
+
+    // One iframe for each page of a spread, from left to right
+    this.iframes = [createIframe(), createIframe()];
+    var iframeElement;
+    for(iframeElement of this.iframes) {
+      this.containerElement.appendChild(iframeElement);
+    }
+
+    this.pageCount = 0; // number of pages currently shown
+    this.primary = 0; // index into this.iframes of the main page
+    this.viewports = [];
+    this.zoomIndex = 0;
+    // The point of the page shown at the center of the screen
+    // as fractions of the page width and height
+    this.center = {x: 0.5, y: 0.5};
+  }
+
+  // The document of the main page (see load())
+  get doc() {
+    return this.iframes[this.primary].contentDocument;
+  }
+
+  // The documents of all shown pages in reading order
+  get docs() {
+    const docs = this.iframes.slice(0, this.pageCount).map((iframeElement) => iframeElement.contentDocument);
+    if(this.primary > 0) docs.reverse();
+    return docs;
+  }
+
+  show() {
+    var i;
+    for(i=0; i < this.iframes.length; i++) {
+      this.iframes[i].style.display = (i < this.pageCount) ? 'block' : 'none';
+    }
+  }
+
+  hide() {
+    var iframeElement;
+    for(iframeElement of this.iframes) {
+      iframeElement.style.display = 'none';
+    }
+  }
+
+  // Load one page or a two-page spread.
+  // `uris` are ordered from left to right on screen
+  // and `primary` is the index of the main page in `uris`
+  // which is the first page in reading order.
+  async load(uris, primary) {
+    this.pageCount = Math.min(uris.length, this.iframes.length);
+    this.primary = primary || 0;
+
+    var i;
+    const loading = [];
+    for(i=0; i < this.pageCount; i++) {
+      loading.push(loadIframe(this.iframes[i], uris[i]));
+    }
+    await Promise.all(loading);
+
+    if(this.opts.processDocument) {
+      const processing = [];
+      for(i=0; i < this.pageCount; i++) {
+        if(this.iframes[i].contentDocument) {
+          processing.push(this.opts.processDocument(this.iframes[i].contentDocument));
+        }
+      }
+      await Promise.all(processing);
+    }
+
+    this.viewports = [];
+    for(i=0; i < this.pageCount; i++) {
+      this.viewports.push(this.getViewport(this.iframes[i]));
+    }
+    this.show();
+    this.resetZoom();
+    return true;
+  }
+
+  // Get the size of the document in an iframe in CSS pixels
+  getViewport(iframeElement) {
+    const doc = iframeElement.contentDocument;
+    if(!doc || !doc.documentElement) return DEFAULT_VIEWPORT;
+
+    const meta = doc.querySelector('meta[name="viewport"]');
+    var viewport = parseViewport(meta && meta.getAttribute('content'));
+    if(viewport) return viewport;
+
+    // SVG documents usually have a viewBox
+    const root = doc.documentElement;
+    if(root.tagName.toLowerCase() === 'svg') {
+      const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+      if(viewBox.length === 4 && viewBox[2] && viewBox[3]) {
+        return {width: viewBox[2], height: viewBox[3]};
+      }
+    }
+
+    if(this.opts.defaultViewport) return this.opts.defaultViewport;
+
+    // Fall back to measuring the content
+    iframeElement.style.width = DEFAULT_VIEWPORT.width + 'px';
+    iframeElement.style.height = DEFAULT_VIEWPORT.height + 'px';
+    if(root.scrollWidth && root.scrollHeight) {
+      return {width: root.scrollWidth, height: root.scrollHeight};
+    }
+    return DEFAULT_VIEWPORT;
+  }
+
+  // The size of all shown pages side by side
+  // with each page scaled to the height of the tallest page
+  contentSize() {
+    const height = Math.max.apply(null, this.viewports.map((v) => v.height));
+    var width = 0;
+    var viewport;
+    for(viewport of this.viewports) {
+      width += viewport.width * height / viewport.height;
+    }
+    return {width, height};
+  }
+
+  isZoomed() {
+    return this.zoomIndex > 0;
+  }
+
+  zoom() {
+    return ZOOM_LEVELS[this.zoomIndex];
+  }
+
+  resetZoom() {
+    this.zoomIndex = 0;
+    this.center = {x: 0.5, y: 0.5};
+    this.layout();
+  }
+
+  zoomIn() {
+    if(this.zoomIndex >= ZOOM_LEVELS.length - 1) return false;
+    this.zoomIndex++;
+    this.layout();
+    return true;
+  }
+
+  zoomOut() {
+    if(this.zoomIndex <= 0) return false;
+    this.zoomIndex--;
+    this.layout();
+    return true;
+  }
+
+  // Move the visible part of a zoomed page.
+  // `dx` and `dy` are fractions of the screen size, e.g. 0.5 is half a screen
+  pan(dx, dy) {
+    const scale = this.scale();
+    const size = this.contentSize();
+    const rect = this.containerElement.getBoundingClientRect();
+    this.center.x += dx * rect.width / (size.width * scale);
+    this.center.y += dy * rect.height / (size.height * scale);
+    this.layout();
+  }
+
+  // The scale that makes all shown pages fit on screen
+  fitScale() {
+    const size = this.contentSize();
+    const rect = this.containerElement.getBoundingClientRect();
+    return Math.min(rect.width / size.width, rect.height / size.height);
+  }
+
+  scale() {
+    return this.fitScale() * this.zoom();
+  }
+
+  // Size, scale and position the iframes according to the zoom and pan
+  layout() {
+    if(!this.pageCount) return;
+
+    const rect = this.containerElement.getBoundingClientRect();
+    const size = this.contentSize();
+    const scale = this.scale();
+    const width = size.width * scale;
+    const height = size.height * scale;
+
+    // Keep the pages on screen.
+    // A dimension that fits on screen is centered.
+    var x, y;
+    if(width <= rect.width) {
+      this.center.x = 0.5;
+      x = (rect.width - width) / 2;
+    } else {
+      const half = rect.width / 2 / width;
+      this.center.x = Math.min(Math.max(this.center.x, half), 1 - half);
+      x = rect.width / 2 - this.center.x * width;
+    }
+    if(height <= rect.height) {
+      this.center.y = 0.5;
+      y = (rect.height - height) / 2;
+    } else {
+      const half = rect.height / 2 / height;
+      this.center.y = Math.min(Math.max(this.center.y, half), 1 - half);
+      y = rect.height / 2 - this.center.y * height;
+    }
+
+    var i, viewport, pageScale;
+    for(i=0; i < this.pageCount; i++) {
+      viewport = this.viewports[i];
+      pageScale = scale * size.height / viewport.height;
+      this.iframes[i].style.width = viewport.width + 'px';
+      this.iframes[i].style.height = viewport.height + 'px';
+      this.iframes[i].style.transform = 'translate(' + x + 'px, ' + y + 'px) scale(' + pageScale + ')';
+      x += viewport.width * pageScale;
+    }
+  }
+}
+
+module.exports = {
+  FixedLayoutView,
+  parseViewport
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+// Footnotes and endnotes shown in a popup instead of navigating to them.
+//
+// EPUB 3 marks up notes like:
+//
+//   <a epub:type="noteref" href="#n1">1</a>
+//   ...
+//   <aside epub:type="footnote" id="n1">The note</aside>
+//
+// but plenty of books don't use epub:type on the links
+// so a link is also treated as a note reference if it points
+// at something that looks like a note.
+//
+// This is roughly what KOReader does:
+// https://github.com/koreader/koreader/pull/4440
+
+const OPS_NAMESPACE = 'http://www.idpf.org/2007/ops';
+
+const NOTE_TYPES = ['footnote', 'endnote', 'rearnote', 'note'];
+
+// Elements that are kept when copying a note into the popup.
+// Anything else is replaced by its content and all attributes are dropped
+// so nothing from the book can run scripts in the app.
+const ALLOWED_TAGS = ['p', 'div', 'span', 'em', 'i', 'strong', 'b', 'u', 'sup', 'sub', 'small', 'br', 'ul', 'ol', 'li', 'blockquote', 'cite', 'code', 'q', 'dl', 'dt', 'dd'];
+
+// Elements whose content is dropped entirely
+const REMOVED_TAGS = ['script', 'style', 'link', 'meta', 'title', 'head', 'iframe', 'object', 'embed', 'video', 'audio', 'img', 'svg', 'math'];
+
+// Get the tokens of the epub:type attribute of an element
+// The attribute is namespaced in XHTML documents but parsed
+// as a plain attribute named "epub:type" in HTML documents.
+function getEpubTypes(el) {
+  const type = el.getAttributeNS(OPS_NAMESPACE, 'type') || el.getAttribute('epub:type') || '';
+  return type.trim().toLowerCase().split(/\s+/).filter((t) => t);
+}
+
+function isNoteRef(el) {
+  return getEpubTypes(el).indexOf('noteref') >= 0;
+}
+
+function isNote(el) {
+  if(el.localName.toLowerCase() === 'aside') return true;
+  return getEpubTypes(el).some((type) => NOTE_TYPES.indexOf(type) >= 0);
+}
+
+// Hide footnote asides so they don't show up in the page flow.
+// They are shown in a popup when their note reference is clicked.
+function hideFootnotes(doc) {
+  const els = doc.getElementsByTagName('aside');
+  var el;
+  for(el of els) {
+    if(getEpubTypes(el).indexOf('footnote') >= 0) {
+      el.setAttribute('hidden', 'hidden');
+    }
+  }
+}
+
+// Find the note with the id `fragment` in `doc`.
+// If `isRef` is true then the link was marked as a note reference
+// so the target is used even if it doesn't look like a note.
+// Returns null if it's not a note.
+function findNote(doc, fragment, isRef) {
+  if(!doc || !fragment) return null;
+  const target = doc.getElementById(fragment);
+  if(!target) return null;
+
+  // The id is often on an element inside the note
+  var el;
+  for(el = target; el && el.nodeType === 1; el = el.parentNode) {
+    if(isNote(el)) return el;
+  }
+  if(!isRef) return null;
+
+  // The target of a note reference is sometimes an empty anchor
+  // at the start of the note
+  if(!target.textContent.trim() && target.parentNode && target.parentNode.nodeType === 1) {
+    return target.parentNode;
+  }
+  return target;
+}
+
+function copyNode(node, toDoc, parent) {
+  if(node.nodeType === 3) { // text
+    parent.appendChild(toDoc.createTextNode(node.nodeValue));
+    return;
+  }
+  if(node.nodeType !== 1) return;
+
+  const tagName = node.localName.toLowerCase();
+  if(REMOVED_TAGS.indexOf(tagName) >= 0) return;
+
+  var el = parent;
+  if(ALLOWED_TAGS.indexOf(tagName) >= 0) {
+    el = toDoc.createElement(tagName);
+    parent.appendChild(el);
+  }
+  var child;
+  for(child of node.childNodes) {
+    copyNode(child, toDoc, el);
+  }
+}
+
+// Copy the content of a note into a DocumentFragment in `toDoc`
+// keeping only basic formatting
+function copyNote(note, toDoc) {
+  const frag = toDoc.createDocumentFragment();
+  var child;
+  for(child of note.childNodes) {
+    copyNode(child, toDoc, frag);
+  }
+  return frag;
+}
+
+export {getEpubTypes, isNoteRef, isNote, hideFootnotes, findNote, copyNote};
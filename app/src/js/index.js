@@ -2,6 +2,10 @@
 
 import {h, render, Component} from 'preact';
 import Root from './components/Root.js';
+import Library from './components/Library.js';
+import {loadTheme, applyTheme} from './theme.js';
+import {loadConfig} from './config.js';
+import {UpdateScheduler} from './epaper.js';
 
 var app = {
   state: 'INIT' // first state. system initializing
@@ -13,12 +17,39 @@ function init() {
 
   app.actions = require('./actions/index');
 
+  applyTheme(loadTheme());
+
+  // Updates the e-paper display when the app or the page changes
+  app.epaper = new UpdateScheduler((x, y, width, height, method) => {
+    return Fread.update(x, y, width, height, method);
+  });
+  app.epaper.observe(document.body);
+  loadConfig().then((config) => {
+    app.epaper.configure(config.epaper);
+  });
+
   var container = document.getElementById('container');
   container.innerHTML = '';
   
-  render((
-    <Root baseuri={window.location.href} />
-  ), container);
+  // Show the reader if we were given the path of a book
+  // and otherwise show the library
+  var path = Fread.uriToPath(window.location.href);
+  var stat = (path) ? Fread.stat(path) : Promise.resolve(null);
+  
+  stat.catch((err) => {
+    console.error(err.message);
+    return null;
+  }).then((st) => {
+    if(st && !st.isDirectory) {
+      render((
+        <Root baseuri={window.location.href} />
+      ), container);
+    } else {
+      render((
+        <Library directory={(st) ? path : null} />
+      ), container);
+    }
+  });
 }
 
 init();
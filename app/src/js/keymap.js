@@ -0,0 +1,236 @@
+'use strict';
+
+// Binding of keys to actions (see actions/index.js).
+//
+// The keymap maps key names to actions, e.g:
+//
+//   {
+//     "space": "next-page",
+//     "right": ["pan-right", "page-right"],
+//     "ctrl+f": "search",
+//     "pagedown": {"action": "next-page", "longPress": "next-chapter"},
+//     "keycode:193": {"action": "next-page", "repeat": true}
+//   }
+//
+// Key names are the lower case value of KeyboardEvent.key with
+// a few renamed (see keyNames below) and modifiers prefixed as
+// "ctrl+", "alt+", "shift+" and "meta+" in that order.
+// Shift is only part of the name for letters and named keys since
+// for other characters (e.g. "+") it's implied by the character.
+// Keys without a usable name (e.g. some hardware buttons)
+// can be bound as "keycode:<number>".
+//
+// When several actions are listed they are tried in order until
+// one of them does something.
+//
+// Bindings can be objects with the options:
+//   action: action name or list of names
+//   longPress: action(s) run instead when the key is held down
+//              for longPressDelay milliseconds
+//   repeat: if true the action is run again for every repeated keydown
+//           while the key is held. Defaults to false which suits
+//           page-turn buttons that should turn a single page per press.
+//
+// Binding a key to null in config.json removes the default binding.
+
+const DEFAULT_LONG_PRESS_DELAY = 600;
+
+const DEFAULT_KEYMAP = {
+  'space': 'next-page',
+  'shift+space': 'prev-page',
+  'pagedown': 'next-page',
+  'pageup': 'prev-page',
+  'right': ['pan-right', 'page-right'],
+  'left': ['pan-left', 'page-left'],
+  'up': 'pan-up',
+  'down': 'pan-down',
+  'n': 'next-chapter',
+  'p': 'prev-chapter',
+  'm': 'menu',
+  't': 'toc',
+  'b': 'bookmark',
+  'shift+b': 'bookmarks',
+  '/': 'search',
+  's': 'settings',
+  'g': 'go-to-page',
+  'backspace': 'return-to-reading',
+  '+': ['zoom-in', 'font-size-up'],
+  '=': ['zoom-in', 'font-size-up'],
+  '-': ['zoom-out', 'font-size-down'],
+  '0': 'reset-zoom'
+};
+
+// KeyboardEvent.key values with shorter or clearer names
+const keyNames = {
+  ' ': 'space',
+  'spacebar': 'space',
+  'arrowleft': 'left',
+  'arrowright': 'right',
+  'arrowup': 'up',
+  'arrowdown': 'down',
+  'esc': 'escape',
+  'del': 'delete'
+};
+
+const modifierKeys = ['control', 'alt', 'shift', 'meta', 'altgraph'];
+
+function modifierPrefix(e, withShift) {
+  var prefix = '';
+  if(e.ctrlKey) prefix += 'ctrl+';
+  if(e.altKey) prefix += 'alt+';
+  if(e.shiftKey && withShift) prefix += 'shift+';
+  if(e.metaKey) prefix += 'meta+';
+  return prefix;
+}
+
+// Get the names a keydown/keyup event can be bound as,
+// most specific first.
+// Returns an empty array for modifier keys pressed on their own.
+function getKeyNames(e) {
+  const names = [];
+  var key = (e.key || '').toLowerCase();
+  if(modifierKeys.indexOf(key) >= 0) return names;
+  key = keyNames[key] || key;
+
+  if(key && key !== 'unidentified') {
+    const isCharacter = (key.length === 1 && !key.match(/[a-z]/));
+    names.push(modifierPrefix(e, !isCharacter) + key);
+  }
+  if(e.keyCode) {
+    names.push(modifierPrefix(e, true) + 'keycode:' + e.keyCode);
+  }
+  return names;
+}
+
+// Turn an action name or list of names into a list
+function toList(actions) {
+  if(!actions) return [];
+  return (Array.isArray(actions)) ? actions : [actions];
+}
+
+// Run an action name or list of names in order until one does something.
+// `runAction(name)` must run the named action and return false
+// if it didn't do anything.
+// Returns false if none of them did anything.
+// Also used for tap zones and swipes (see touch.js).
+function runActionList(runAction, actions) {
+  var action;
+  for(action of toList(actions)) {
+    if(runAction(action) !== false) return true;
+  }
+  return false;
+}
+
+// Turn a keymap value into {actions, longPress, repeat}
+function normalizeBinding(binding) {
+  if(!binding) return null;
+  if(typeof binding === 'string' || Array.isArray(binding)) {
+    binding = {action: binding};
+  }
+  return {
+    actions: toList(binding.action),
+    longPress: toList(binding.longPress),
+    repeat: !!binding.repeat
+  };
+}
+
+// Merge the keymap from the configuration over the default keymap
+function buildKeymap(keymap) {
+  const merged = Object.assign({}, DEFAULT_KEYMAP, keymap || {});
+  const o = {};
+  var key, binding;
+  for(key in merged) {
+    binding = normalizeBinding(merged[key]);
+    if(binding) o[key.toLowerCase()] = binding;
+  }
+  return o;
+}
+
+// Runs the actions bound to keys.
+//
+// `runAction(name)` must run the named action and return false
+// if it didn't do anything.
+class KeyHandler {
+
+  constructor(runAction, config) {
+    config = config || {};
+    this.runAction = runAction;
+    this.keymap = buildKeymap(config.keymap);
+    this.longPressDelay = config.longPressDelay || DEFAULT_LONG_PRESS_DELAY;
+
+    // Keys currently held down, by keyCode, since the modifiers
+    // may have changed by the time the key is released
+    this.down = {};
+  }
+
+  getBinding(e) {
+    var name;
+    for(name of getKeyNames(e)) {
+      if(this.keymap[name]) return this.keymap[name];
+    }
+    return null;
+  }
+
+  runActions(actions) {
+    return runActionList(this.runAction, actions);
+  }
+
+  // Returns true if the key was handled
+  onkeydown(e) {
+    const held = this.down[e.keyCode];
+    if(held) {
+      // Key repeat
+      if(held.binding.repeat && !held.binding.longPress.length) {
+        this.runActions(held.binding.actions);
+      }
+      return true;
+    }
+
+    const binding = this.getBinding(e);
+    if(!binding) return false;
+
+    const state = {binding: binding, timer: null, longPressed: false};
+    this.down[e.keyCode] = state;
+
+    // Wait to find out if it's a long press
+    if(binding.longPress.length) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        state.longPressed = true;
+        this.runActions(binding.longPress);
+      }, this.longPressDelay);
+      return true;
+    }
+
+    if(!this.runActions(binding.actions)) {
+      // Let the keydown through if nothing happened
+      delete this.down[e.keyCode];
+      return false;
+    }
+    return true;
+  }
+
+  // Returns true if the key was handled
+  onkeyup(e) {
+    const state = this.down[e.keyCode];
+    if(!state) return false;
+    delete this.down[e.keyCode];
+
+    if(state.timer) {
+      clearTimeout(state.timer);
+      this.runActions(state.binding.actions);
+    }
+    return true;
+  }
+
+  // Forget held keys, e.g. when an overlay takes over the keyboard
+  reset() {
+    var keyCode;
+    for(keyCode in this.down) {
+      if(this.down[keyCode].timer) clearTimeout(this.down[keyCode].timer);
+    }
+    this.down = {};
+  }
+}
+
+export {DEFAULT_KEYMAP, getKeyNames, buildKeymap, runActionList, KeyHandler};
@@ -0,0 +1,240 @@
+'use strict';
+
+// Scans directories for epub files and keeps an index of their metadata
+// in IndexedDB (see library_db.js) so the library view can show books
+// without re-parsing them each time.
+//
+// Each file found results in a record like:
+// {
+//   path: '/books/some_book.epub',
+//   mtime: 1583712000000, // modification time in ms since the epoch
+//   size: 123456,
+//   version: 1, // RECORD_VERSION at the time the record was made
+//   mimetype: 'application/epub+zip',
+//
+//   // the following are only present for epubs
+//   title: 'Some title',
+//   subtitle: 'Some sub-title',
+//   authors: ['Jane Doe'],
+//   authorsForFiling: ['Doe, Jane'],
+//   language: {...}, // see parse_language.js
+//   identifiers: {...}, // see OPF.parseIdentifiers()
+//   publicationDate: 946684800000, // ms since the epoch or null
+//   publisher: 'Some publisher',
+//   subjects: [...], // see OPF.parseSubjects()
+//   tags: ['COMPUTERS', 'COMPUTERS / Programming'], // see subjectTags()
+//   description: 'Plain text description of the book',
+//   opfPath: 'OEBPS/content.opf',
+//   coverPath: 'OEBPS/images/cover.jpg', // path inside the epub or null
+//   coverMediaType: 'image/jpeg',
+//
+//   // only present if the epub failed to parse
+//   error: "Some error message"
+// }
+//
+// Records are only re-created when a file's modification time changes
+// or when RECORD_VERSION is increased.
+// Cover thumbnails are generated while scanning (see thumbnails.js)
+// since the epub is being read anyway.
+
+import {readEpub} from './epub.js';
+import {resolveHref} from './paths.js';
+import * as db from './library_db.js';
+import * as thumbnails from './thumbnails.js';
+
+const EPUB_MIMETYPE = 'application/epub+zip';
+
+// Increase this when the record format changes
+// to cause all files to be re-parsed on the next scan
+const RECORD_VERSION = 3;
+
+// Joins the levels of hierarchical tags
+const TAG_SEPARATOR = ' / ';
+
+// Don't descend further than this into sub-directories
+const MAX_DEPTH = 10;
+
+// Let the browser handle events so the UI doesn't freeze during scanning
+function yieldToBrowser() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function joinPath(dir, name) {
+  return dir.replace(/\/+$/, '') + '/' + name;
+}
+
+// Is `path` inside one of `dirs`?
+function isInside(path, dirs) {
+  var dir;
+  for(dir of dirs) {
+    if(path.indexOf(joinPath(dir, '')) === 0) return true;
+  }
+  return false;
+}
+
+// Recursively find all files in `dir`
+// skipping hidden files and directories
+// and directories that can't be read
+async function findFiles(dir, depth, files) {
+  var entries;
+  try {
+    entries = await Fread.ls(dir);
+  } catch(err) {
+    console.error(err.message);
+    return files;
+  }
+
+  var name, path, st;
+  for(name of entries) {
+    if(name[0] === '.') continue;
+    path = joinPath(dir, name);
+    try {
+      st = await Fread.stat(path);
+    } catch(err) {
+      console.error(err.message);
+      continue;
+    }
+    if(!st) continue;
+    if(st.isDirectory) {
+      if(depth < MAX_DEPTH) {
+        await findFiles(path, depth + 1, files);
+      }
+      continue;
+    }
+    files.push({
+      path: path,
+      mtime: st.mtime,
+      size: st.size
+    });
+  }
+  return files;
+}
+
+// Descriptions often contain HTML so convert them to plain text
+function stripHTML(str) {
+  if(!str) return null;
+  const doc = new DOMParser().parseFromString(str, 'text/html');
+  return doc.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Every level of a hierarchical subject is a tag so e.g. the subject
+// "COMPUTERS / Programming" results in the tags
+// "COMPUTERS" and "COMPUTERS / Programming"
+function subjectTags(subjects) {
+  const tags = [];
+  var subject, i, tag;
+  for(subject of subjects) {
+    for(i=1; i <= subject.levels.length; i++) {
+      tag = subject.levels.slice(0, i).join(TAG_SEPARATOR);
+      if(tags.indexOf(tag) < 0) tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+// Parse the metadata of an epub into the properties of a record.
+// For epubs with several renditions the one matching
+// `renditionPrefs` is used (see renditions.js)
+async function parseBook(path, renditionPrefs) {
+  const opf = await readEpub(path, true, renditionPrefs);
+
+  var publicationDate = null;
+  if(opf.publicationDate && !isNaN(opf.publicationDate.getTime())) {
+    publicationDate = opf.publicationDate.getTime();
+  }
+  
+  return {
+    title: opf.title || null,
+    subtitle: opf.subtitle || null,
+    authors: opf.authors,
+    authorsForFiling: opf.authorsForFiling,
+    language: opf.language || null,
+    identifiers: opf.identifiers,
+    publicationDate: publicationDate,
+    publisher: opf.publisher || null,
+    subjects: opf.subjects,
+    tags: subjectTags(opf.subjects),
+    description: stripHTML(opf.description),
+    opfPath: opf.opfPath,
+    coverPath: (opf.coverImage.path) ? resolveHref(opf.opfPath, opf.coverImage.path) : null,
+    coverMediaType: opf.coverImage.mediaType
+  };
+}
+
+// Scan `directories` for epubs and update the database.
+// `onProgress` is called with (filesDone, filesTotal)
+// after each new or changed file is processed.
+// `renditionPrefs` are passed on to selectRendition() (optional)
+async function scan(directories, onProgress, renditionPrefs) {
+  var files = [];
+  var dir;
+  for(dir of directories) {
+    files = await findFiles(dir, 0, files);
+    await yieldToBrowser();
+  }
+
+  const found = {};
+  var i, file, existing, record;
+  for(i=0; i < files.length; i++) {
+    file = files[i];
+    found[file.path] = true;
+
+    existing = await db.get(file.path);
+    if(existing && existing.mtime === file.mtime && existing.version === RECORD_VERSION) {
+      continue;
+    }
+    
+    await yieldToBrowser();
+    
+    record = {
+      path: file.path,
+      mtime: file.mtime,
+      size: file.size,
+      version: RECORD_VERSION,
+      mimetype: null
+    };
+
+    try {
+      record.mimetype = await Fread.getMimetype(file.path);
+    } catch(err) {
+      // e.g. the file was deleted since the directory was listed
+      console.error(err.message);
+      record.error = err.message;
+    }
+    
+    if(record.mimetype === EPUB_MIMETYPE) {
+      try {
+        Object.assign(record, await parseBook(file.path, renditionPrefs));
+      } catch(err) {
+        console.error("Failed to parse " + file.path + ":", err);
+        record.error = err.message;
+      }
+    }
+    await db.put(record);
+
+    if(record.mimetype === EPUB_MIMETYPE && !record.error) {
+      await thumbnails.get(record);
+    }
+    
+    if(onProgress) onProgress(i + 1, files.length);
+  }
+
+  // Forget files that are no longer in the scanned directories
+  const records = await db.getAll();
+  for(record of records) {
+    if(!found[record.path] && isInside(record.path, directories)) {
+      await db.remove(record.path);
+      await thumbnails.remove(record.path);
+    }
+  }
+}
+
+// Get the records of all successfully parsed epubs
+async function getBooks() {
+  const records = await db.getAll();
+  return records.filter((record) => {
+    return record.mimetype === EPUB_MIMETYPE && !record.error;
+  });
+}
+
+export {TAG_SEPARATOR, scan, getBooks};
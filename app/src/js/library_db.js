@@ -0,0 +1,64 @@
+'use strict';
+
+// IndexedDB database for the library
+//
+// The FILES store has a record for each file found by the library scanner
+// and, if it is an epub, its metadata. See library.js for the format.
+//
+// The THUMBNAILS store has the cover thumbnail for each epub.
+// See thumbnails.js for the format.
+
+const DB_NAME = 'fread-library';
+const DB_VERSION = 2;
+
+const FILES = 'files';
+const THUMBNAILS = 'thumbnails';
+
+var db;
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function open() {
+  if(db) return db;
+  
+  const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = function(e) {
+    const upgradeDB = req.result;
+    var name;
+    for(name of [FILES, THUMBNAILS]) {
+      if(!upgradeDB.objectStoreNames.contains(name)) {
+        upgradeDB.createObjectStore(name, {keyPath: 'path'});
+      }
+    }
+  };
+  db = await promisify(req);
+  return db;
+}
+
+async function store(name, mode) {
+  const d = await open();
+  return d.transaction(name, mode).objectStore(name);
+}
+
+async function get(path, storeName) {
+  return await promisify((await store(storeName || FILES, 'readonly')).get(path));
+}
+
+async function getAll(storeName) {
+  return await promisify((await store(storeName || FILES, 'readonly')).getAll());
+}
+
+async function put(record, storeName) {
+  return await promisify((await store(storeName || FILES, 'readwrite')).put(record));
+}
+
+async function remove(path, storeName) {
+  return await promisify((await store(storeName || FILES, 'readwrite')).delete(path));
+}
+
+export {FILES, THUMBNAILS, get, getAll, put, remove};
@@ -0,0 +1,247 @@
+'use strict';
+
+// Sorting, filtering and searching of library records (see library.js)
+
+import {TAG_SEPARATOR} from './library.js';
+
+// Leading articles ignored when sorting by title
+const leadingArticles = new RegExp(/^(the|a|an|der|die|das|le|la|les|el|los|las|il|lo|de|het|een)\s+|^l'/);
+
+// How many books to search through before letting the browser handle events
+const SEARCH_CHUNK_SIZE = 100;
+
+// Lower-case and remove diacritics so e.g. 'Émile' matches 'emile'
+function normalize(str) {
+  if(!str) return '';
+  return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function titleSortKey(book) {
+  return normalize(book.title || book.path.replace(/.*\//, '')).replace(leadingArticles, '');
+}
+
+function authorSortKey(book) {
+  return normalize((book.authorsForFiling && book.authorsForFiling[0]) || '');
+}
+
+function filenameSortKey(book) {
+  return normalize(book.path.replace(/.*\//, ''));
+}
+
+function compareStrings(a, b) {
+  return a.localeCompare(b);
+}
+
+// Each sort mode has a label and a comparison function.
+// Dates are sorted newest first.
+const SORT_MODES = {
+  title: {
+    label: "Title",
+    compare: (a, b) => compareStrings(titleSortKey(a), titleSortKey(b))
+  },
+  author: {
+    label: "Author",
+    compare: (a, b) => {
+      return compareStrings(authorSortKey(a), authorSortKey(b))
+        || compareStrings(titleSortKey(a), titleSortKey(b));
+    }
+  },
+  filename: {
+    label: "Filename",
+    compare: (a, b) => compareStrings(filenameSortKey(a), filenameSortKey(b))
+  },
+  changed: {
+    label: "Date changed",
+    compare: (a, b) => (b.mtime || 0) - (a.mtime || 0)
+  },
+  published: {
+    label: "Date published",
+    compare: (a, b) => (b.publicationDate || 0) - (a.publicationDate || 0)
+  }
+};
+
+// Returns a sorted copy of `books`
+function sortBooks(books, mode) {
+  const sortMode = SORT_MODES[mode] || SORT_MODES.title;
+  return books.slice().sort(sortMode.compare);
+}
+
+function getLanguageCode(book) {
+  if(!book.language || !book.language.languageCode || book.language.languageCode === '?') {
+    return null;
+  }
+  return book.language.languageCode;
+}
+
+// Get the sorted list of language codes used by `books`
+function getLanguages(books) {
+  const langs = {};
+  var book, code;
+  for(book of books) {
+    code = getLanguageCode(book);
+    if(code) langs[code] = true;
+  }
+  return Object.keys(langs).sort();
+}
+
+// Get the sorted list of tags used by `books`
+function getTags(books) {
+  const tags = {};
+  var book, tag;
+  for(book of books) {
+    for(tag of (book.tags || [])) {
+      tags[tag] = true;
+    }
+  }
+  return Object.keys(tags).sort(compareStrings);
+}
+
+// Build a tree of the hierarchical tags used by `books`, e.g:
+// [{
+//   name: 'COMPUTERS',
+//   tag: 'COMPUTERS',
+//   count: 2, // number of books with this tag
+//   children: [{
+//     name: 'Programming',
+//     tag: 'COMPUTERS / Programming',
+//     count: 1,
+//     children: []
+//   }]
+// }]
+// Each level is sorted by name.
+function getTagTree(books) {
+  const root = {children: [], byName: {}};
+  var book, subject, node, name, i;
+  for(book of books) {
+    // Count each book only once per tag
+    const counted = {};
+    for(subject of (book.subjects || [])) {
+      node = root;
+      for(i=0; i < subject.levels.length; i++) {
+        name = subject.levels[i];
+        if(!node.byName[name]) {
+          node.byName[name] = {
+            name: name,
+            tag: subject.levels.slice(0, i + 1).join(TAG_SEPARATOR),
+            count: 0,
+            children: [],
+            byName: {}
+          };
+          node.children.push(node.byName[name]);
+        }
+        node = node.byName[name];
+        if(!counted[node.tag]) {
+          counted[node.tag] = true;
+          node.count++;
+        }
+      }
+    }
+  }
+
+  function finish(nodes) {
+    nodes.sort((a, b) => compareStrings(a.name, b.name));
+    nodes.forEach((n) => {
+      delete n.byName;
+      finish(n.children);
+    });
+    return nodes;
+  }
+  return finish(root.children);
+}
+
+// Filter books by language code and/or tag.
+// A filter that is null or undefined is not applied.
+function filterBooks(books, filters) {
+  return books.filter((book) => {
+    if(filters.language && getLanguageCode(book) !== filters.language) {
+      return false;
+    }
+    if(filters.tag && (!book.tags || book.tags.indexOf(filters.tag) < 0)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// Get the normalized text that a book is searched by
+function searchText(book) {
+  const parts = [
+    book.title,
+    book.subtitle,
+    (book.tags || []).join(' '),
+    (book.authors || []).join(' '),
+    (book.authorsForFiling || []).join(' '),
+    book.publisher,
+    book.identifiers && book.identifiers['ISBN-13'],
+    book.identifiers && book.identifiers['ISBN-10'],
+    // let people search for ISBNs without the dashes
+    book.identifiers && (book.identifiers['ISBN-13'] || book.identifiers['ISBN-10'] || '').replace(/-/g, ''),
+    book.description
+  ];
+  return normalize(parts.filter((part) => part).join('\n'));
+}
+
+function yieldToBrowser() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Incremental search through a list of books.
+//
+// Searching is done in chunks so the UI stays responsive
+// and a new search cancels any search still in progress.
+// If a query extends the previous query (e.g. the user typed another character)
+// then only the previous results are searched.
+class BookSearch {
+
+  // `texts` is an optional Map of book path to searchText(book)
+  // so the search text doesn't need to be re-generated
+  constructor(books, texts) {
+    this.entries = books.map((book) => {
+      return {
+        book: book,
+        text: (texts && texts.get(book.path)) || searchText(book)
+      };
+    });
+    this.lastQuery = '';
+    this.lastResults = this.entries;
+    this.generation = 0;
+  }
+
+  // Returns the list of matching books
+  // or null if the search was cancelled by a newer search.
+  // All space-separated words in the query must match.
+  async search(query) {
+    const generation = ++this.generation;
+    const q = normalize(query).replace(/\s+/g, ' ').trim();
+    const words = (q) ? q.split(' ') : [];
+
+    var candidates = this.entries;
+    if(this.lastQuery && q.indexOf(this.lastQuery) === 0) {
+      candidates = this.lastResults;
+    }
+
+    const results = [];
+    var i, entry, word, match;
+    for(i=0; i < candidates.length; i++) {
+      if(i && !(i % SEARCH_CHUNK_SIZE)) {
+        await yieldToBrowser();
+        if(generation !== this.generation) return null;
+      }
+      entry = candidates[i];
+      match = true;
+      for(word of words) {
+        if(entry.text.indexOf(word) < 0) {
+          match = false;
+          break;
+        }
+      }
+      if(match) results.push(entry);
+    }
+
+    this.lastQuery = q;
+    this.lastResults = results;
+    return results.map((entry) => entry.book);
+  }
+}
+
+export {SORT_MODES, sortBooks, filterBooks, getLanguages, getTags, getTagTree, searchText, BookSearch};
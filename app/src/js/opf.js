@@ -1,6 +1,8 @@
 import {hyphenate as formatISBN, validate as validateISBN} from 'beautify-isbn';
 import {parseDOM, parseXML, parseXHTML} from './parse_dom.js';
 import parseLanguage from './parse_language.js';
+import parseNCX from './parse_ncx.js';
+import parseNav from './parse_nav.js';
 
 // Used to parse OPF identifiers
 // https://www.stison.com/onix/codelists/onix-codelist-5.htm
@@ -48,6 +50,10 @@ const supportedCoverFileTypeConv = {
 // Supported cover image file extensions
 const supportedCoverFileTypes = Object.keys(supportedCoverFileTypeConv);
 
+// Separates the levels of hierarchical subjects
+// like "COMPUTERS / Programming / General"
+const subjectLevelSeparator = new RegExp(/\s+\/\s+/);
+
 
 export default class OPF {
   
@@ -234,6 +240,115 @@ export default class OPF {
     return creators;
   }
 
+  // Get the text of a <meta property="..."> tag
+  // that applies to the whole publication (doesn't refine another tag)
+  getMetaProperty(property) {
+    const els = this.doc.querySelectorAll("package > metadata meta[property]");
+    var el;
+    for(el of els) {
+      if(el.getAttribute('property') !== property) continue;
+      if(el.getAttribute('refines')) continue;
+      return el.textContent.trim();
+    }
+    return null;
+  }
+
+  // EPUB 3 rendering properties for the whole publication, e.g:
+  //
+  //   <meta property="rendition:layout">pre-paginated</meta>
+  //   <meta property="rendition:orientation">landscape</meta>
+  //   <meta property="rendition:spread">none</meta>
+  //
+  // are returned as:
+  // {
+  //   layout: 'pre-paginated', // default: 'reflowable'
+  //   orientation: 'landscape', // default: 'auto'
+  //   spread: 'none' // default: 'auto'
+  // }
+  parseRenditionProperties() {
+    return {
+      layout: this.getMetaProperty('rendition:layout') || 'reflowable',
+      orientation: this.getMetaProperty('rendition:orientation') || 'auto',
+      spread: this.getMetaProperty('rendition:spread') || 'auto'
+    };
+  }
+
+  // Get the rendering properties of a spine item.
+  // These are the properties for the whole publication
+  // (see parseRenditionProperties()) overridden by <itemref> properties like:
+  //
+  //   <itemref idref="page1" properties="rendition:layout-pre-paginated page-spread-left"/>
+  //
+  // Returns e.g:
+  // {
+  //   layout: 'pre-paginated',
+  //   orientation: 'auto',
+  //   spread: 'auto',
+  //   pageSpread: 'left' // or 'right', 'center' or null
+  // }
+  getSpineItemRendition(spineIndex) {
+    const o = Object.assign({pageSpread: null}, this.rendition);
+    const props = (this.spine && this.spine.properties[spineIndex]) || [];
+    var prop, m;
+    for(prop of props) {
+      m = prop.match(/^rendition:(layout|orientation|spread)-(.+)$/);
+      if(m) {
+        o[m[1]] = m[2];
+        continue;
+      }
+      m = prop.match(/^(?:rendition:)?page-spread-(left|right|center)$/);
+      if(m) {
+        o.pageSpread = m[1];
+      }
+    }
+    return o;
+  }
+
+  // Get the layout ('reflowable' or 'pre-paginated') of each spine item
+  getSpineLayouts() {
+    if(!this.spine) return [];
+    return this.spine.items.map((item, i) => this.getSpineItemRendition(i).layout);
+  }
+
+  // Subjects are used as tags and look like e.g:
+  //
+  //   <dc:subject>solarpunk</dc:subject>
+  //   <dc:subject>climate change</dc:subject>
+  //
+  // or are hierarchical like BISAC subject headings:
+  //
+  //   <dc:subject id="subject01">COMPUTERS / Programming / General</dc:subject>
+  //   <meta refines="#subject01" property="authority">BISAC</meta>
+  //   <meta refines="#subject01" property="term">COM051000</meta>
+  //
+  // This function returns an array of subjects in the form:
+  // {
+  //   name: "COMPUTERS / Programming / General",
+  //   levels: ["COMPUTERS", "Programming", "General"],
+  //   authority: "BISAC", // or null
+  //   term: "COM051000" // or null
+  // }
+  parseSubjects() {
+    const subjects = [];
+    const seen = {};
+    const els = this.getMetas('dc:subject');
+    var el, name, refined;
+    for(el of els) {
+      name = el.textContent.replace(/\s+/g, ' ').trim();
+      if(!name || seen[name]) continue;
+      seen[name] = true;
+
+      refined = this.refineMeta(el, true, true);
+      subjects.push({
+        name: name,
+        levels: name.split(subjectLevelSeparator).filter((level) => level),
+        authority: refined.authority || null,
+        term: refined.term || null
+      });
+    }
+    return subjects;
+  }
+
   setISBN(o, text) {
     const val = text.replace(/[^\d]+/g, '');
     if(val.length === 10) {
@@ -355,43 +470,80 @@ export default class OPF {
   }
 
   // parse <manifest> <item> elements like:
-  //   <item href="cover.jpeg" id="cover" media-type="image/jpeg" />
+  //   <item href="nav.xhtml" id="nav" media-type="application/xhtml+xml" properties="nav scripted" />
   // into a key value object like:
   //   {
-  //     'some_id': 'path/to/filename'
+  //     'nav': {
+  //       href: 'nav.xhtml',
+  //       mediaType: 'application/xhtml+xml',
+  //       properties: ['nav', 'scripted']
+  //     }
   //   }
   parseManifest() {
     const els = this.doc.querySelectorAll("package > manifest item");
 
     const o = {}
-    var i, el, id, href;
+    var i, el, id, href, properties;
     for(i=0; i < els.length; i++) {
       el = els[i];
       id = el.getAttribute('id');
       if(!id) continue;
       href = el.getAttribute('href');
       if(!href) continue;
-      o[id] = href;
+      properties = (el.getAttribute('properties') || '').trim();
+      o[id] = {
+        href: href,
+        mediaType: el.getAttribute('media-type'),
+        properties: properties ? properties.split(/\s+/) : []
+      };
     }
     return o;
   }
 
+  // Find the first manifest item with the specified property
+  // e.g. 'nav' or 'cover-image'
+  getManifestItemByProperty(property) {
+    var id;
+    for(id in this.manifest) {
+      if(this.manifest[id].properties.indexOf(property) >= 0) {
+        return this.manifest[id];
+      }
+    }
+    return null;
+  }
+
   // parse <spine> into, e.g:
   // {
   //   toc: 'ncx'
   //   pageProgressionDirection: 'ltr',
-  //   items: ['path/to/file', 'path/to/other/file']
+  //   items: ['path/to/file', 'path/to/other/file'],
+  //   cfiBases: ['/6/2[chap01ref]', '/6/4[chap02ref]'],
+  //   properties: [['page-spread-left'], ['rendition:layout-pre-paginated']],
+  //   linear: [true, false]
   // };
   //
+  // where cfiBases are the Package Document part of an EPUB CFI
+  // for each item, used to generate and resolve CFIs,
+  // properties are the properties= of each <itemref>
+  // and linear is false for items with linear="no".
+  // Non-linear items (e.g. answer keys or footnotes) are only
+  // reached by following links, not by turning pages.
+  //
   // TODO check <spine> `toc=` and `page-progression-direction=`
   parseSpine() {
-    const items = this.parseManifest();
+    const items = this.manifest;
     const spineEl = this.doc.querySelector("package > spine");
     if(!spineEl) return null;
     
     const els = this.doc.querySelectorAll("package > spine itemref");
 
     const spine = []
+    const cfiBases = [];
+    const properties = [];
+    const linear = [];
+
+    // The CFI step of the <spine> element within <package>
+    const spineStep = (Array.prototype.indexOf.call(spineEl.parentNode.children, spineEl) + 1) * 2;
     
     var i, el, idref, item;
     for(i=0; i < els.length; i++) {    
@@ -400,22 +552,25 @@ export default class OPF {
       idref = el.getAttribute('idref');
       if(!idref) continue;
 
-      if(el.getAttribute('linear') === 'no') {
-        continue;
-      }
-
       item = items[idref];
       if(!item) {
         continue;
       }
       
-      spine.push(item);
+      spine.push(item.href);
+      // idrefs are XML IDs so they never need CFI escaping
+      cfiBases.push('/' + spineStep + '/' + ((i + 1) * 2) + '[' + idref + ']');
+      properties.push((el.getAttribute('properties') || '').trim().split(/\s+/).filter((prop) => prop));
+      linear.push(el.getAttribute('linear') !== 'no');
     }
     
     return {
       toc: spineEl.getAttribute('toc'),
       pageProgressionDirection: spineEl.getAttribute('page-progression-direction') || 'ltr',
-      items: spine
+      items: spine,
+      cfiBases: cfiBases,
+      properties: properties,
+      linear: linear
     };
   }
   
@@ -506,6 +661,46 @@ export default class OPF {
   
   // Public API below
 
+  // Get the path (relative to the .opf file) of the NCX file
+  // referenced by the <spine toc=""> attribute (if any)
+  getNCXHref() {
+    if(!this.spine || !this.spine.toc) return null;
+    const item = this.manifest[this.spine.toc];
+    if(!item) return null;
+    return item.href;
+  }
+
+  // Parse the NCX table of contents
+  // `str` is the contents of the file at the path given by getNCXHref()
+  // The Navigation Document table of contents is preferred if present
+  // Throws an exception if XML parsing fails
+  setNCX(str) {
+    this.ncx = parseNCX(str, this.getNCXHref());
+    if(!this.nav || !this.nav.toc.length) {
+      this.toc = this.ncx.toc;
+    }
+  }
+
+  // Get the path (relative to the .opf file) of the EPUB 3
+  // Navigation Document (if any)
+  getNavHref() {
+    const item = this.getManifestItemByProperty('nav');
+    if(!item) return null;
+    return item.href;
+  }
+
+  // Parse the EPUB 3 Navigation Document
+  // `str` is the contents of the file at the path given by getNavHref()
+  // Throws an exception if XHTML parsing fails
+  setNav(str) {
+    this.nav = parseNav(str, this.getNavHref());
+    if(this.nav.toc.length) {
+      this.toc = this.nav.toc;
+    }
+    this.pageList = this.nav.pageList;
+    this.landmarks = this.nav.landmarks;
+  }
+
   // Get an array of the authors names, sorted correctly
   // If `forFiling` is true then use the `file-as=` version
   // of the names if they are present, and if not present
@@ -546,6 +741,7 @@ export default class OPF {
     console.log("Description:", this.description);
     console.log("Publication date:", this.publicationDate);
     console.log("Publisher:", this.publisher);
+    console.log("Subjects:", this.subjects);
     console.log("Identifiers:", this.identifiers);
     console.log("Creators:", this.creators);
     console.log("Authors:", this.authors);
@@ -555,6 +751,8 @@ export default class OPF {
     console.log("Copyright:", this.copyright);
     console.log("Cover page:", this.coverPage);
     console.log("Spine:", this.spine);
+    console.log("Rendition:", this.rendition);
+    console.log("Table of contents:", this.toc);
   }
   
   // Throws an exception if XHTML parsing fails
@@ -563,6 +761,9 @@ export default class OPF {
 
     this.doc = parseXHTML(opfStr);
 
+    const packageEl = this.doc.querySelector('package');
+    this.version = (packageEl) ? (parseFloat(packageEl.getAttribute('version')) || null) : null;
+
     this.titles = this.getTitles();
     this.title = this.titles.main;
     this.subtitle = this.titles.subtitle;
@@ -578,6 +779,7 @@ export default class OPF {
     }
 
     this.publisher = this.getMeta('dc:publisher', true);
+    this.subjects = this.parseSubjects();
     this.identifiers = this.parseIdentifiers();
     this.creators = this.parseCreators();
     this.authors = this.getAuthors();
@@ -591,7 +793,16 @@ export default class OPF {
     this.coverImage = this.parseCoverImage();
     this.copyright = this.getMeta('dc:rights', true);
     this.coverPage = this.getCoverPage();
+    this.manifest = this.parseManifest();
     this.spine = this.parseSpine();
+    this.rendition = this.parseRenditionProperties();
+
+    // Set by setNCX() and setNav()
+    this.ncx = null;
+    this.nav = null;
+    this.toc = [];
+    this.pageList = [];
+    this.landmarks = [];
 
     // TODO get fonts
 
@@ -599,19 +810,5 @@ export default class OPF {
     // we should be able to ignore it since it's not a core media type
     // <item href="OEBPS/page-template.xpgt" id="page" media-type="application/vnd.adobe-page-template+xml"/>
 
-    // TODO subject used as tags
-    /*
-    <dc:subject>solarpunk</dc:subject>
-    <dc:subject>climate change</dc:subject>
-    <dc:subject>optimistic science fiction</dc:subject>
-    <dc:subject>utopia</dc:subject>
-    <dc:subject>future</dc:subject>
-    <dc:subject>renewable energies</dc:subject>
-
-    or
-
-    <dc:subject xmlns:dc="http://purl.org/dc/elements/1.1/">COMPUTERS / Programming / General</dc:subject>
-    */
-    
   }
 }
@@ -0,0 +1,132 @@
+'use strict';
+
+// Parses the EPUB 3 Navigation Document which is the XHTML replacement
+// for the NCX file. It contains <nav epub:type="..."> elements
+// where the type is "toc", "page-list" or "landmarks".
+// http://idpf.org/epub/301/spec/epub-contentdocs.html#sec-xhtml-nav
+
+import {parseXHTML} from './parse_dom.js';
+import {splitFragment, resolveHref} from './paths.js';
+
+const opsNamespace = 'http://www.idpf.org/2007/ops';
+
+// Get the list of epub:type values for an element
+function getTypes(el) {
+  const types = el.getAttribute('epub:type') || el.getAttributeNS(opsNamespace, 'type');
+  if(!types) return [];
+  return types.trim().split(/\s+/);
+}
+
+// Get the first direct child element of `el` matching one of `names`
+function childElement(el, names) {
+  var i;
+  for(i=0; i < el.children.length; i++) {
+    if(names.indexOf(el.children[i].localName) >= 0) {
+      return el.children[i];
+    }
+  }
+  return null;
+}
+
+// Get the label for an <a> or <span> falling back to the title= attribute
+// or <img alt=""> in case the label is an image
+function getLabel(el) {
+  var label = el.textContent.replace(/\s+/g, ' ').trim();
+  if(label) return label;
+  label = el.getAttribute('title');
+  if(label) return label;
+  const img = el.querySelector('img[alt]');
+  if(img) return img.getAttribute('alt');
+  return '';
+}
+
+// Recursively parse the <li> elements of an <ol>
+// into the same structure as NCX navPoints (see parse_ncx.js).
+// Items hidden with the hidden= attribute (on the <li> or an ancestor <ol>)
+// get `hidden: true` and should not be displayed.
+function parseList(ol, navHref, hidden) {
+  const items = [];
+  if(!ol) return items;
+  hidden = hidden || ol.hasAttribute('hidden');
+  
+  var i, li, labelEl, href, o, item, types;
+  for(i=0; i < ol.children.length; i++) {
+    li = ol.children[i];
+    if(li.localName !== 'li') continue;
+    
+    labelEl = childElement(li, ['a', 'span']);
+    if(!labelEl) continue;
+
+    href = (labelEl.localName === 'a') ? labelEl.getAttribute('href') : null;
+    if(href) {
+      o = splitFragment(resolveHref(navHref, href));
+    } else {
+      o = {href: null, fragment: null};
+    }
+    
+    item = {
+      label: getLabel(labelEl),
+      href: o.href,
+      fragment: o.fragment,
+      children: parseList(childElement(li, ['ol']), navHref, hidden || li.hasAttribute('hidden'))
+    };
+    if(hidden || li.hasAttribute('hidden')) {
+      item.hidden = true;
+    }
+    // Landmarks use epub:type on the <a> to say what they point to
+    types = getTypes(labelEl);
+    if(types.length) {
+      item.type = types[0];
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+// Parse a Navigation Document into e.g:
+// {
+//   toc: [{label, href, fragment, children}],
+//   pageList: [{label: '12', href: 'text/ch01.xhtml', fragment: 'page12', children: []}],
+//   landmarks: [{label: 'Start', href: 'text/ch01.xhtml', fragment: null, type: 'bodymatter', children: []}],
+//   hidden: {toc: false, pageList: true, landmarks: true}
+// }
+//
+// where `hidden` says which <nav> elements had the hidden= attribute
+// and so must not be displayed.
+//
+// `navHref` is the path of the Navigation Document relative to the .opf file
+//
+// Throws an exception if XHTML parsing fails
+export default function parseNav(str, navHref) {
+  const doc = parseXHTML(str);
+  const o = {
+    toc: [],
+    pageList: [],
+    landmarks: [],
+    hidden: {}
+  };
+  navHref = navHref || '';
+  
+  const navs = doc.getElementsByTagName('nav');
+  var i, nav, types, key;
+  for(i=0; i < navs.length; i++) {
+    nav = navs[i];
+    types = getTypes(nav);
+    if(types.indexOf('toc') >= 0) {
+      key = 'toc';
+    } else if(types.indexOf('page-list') >= 0) {
+      key = 'pageList';
+    } else if(types.indexOf('landmarks') >= 0) {
+      key = 'landmarks';
+    } else {
+      continue;
+    }
+    // Only use the first <nav> of each type
+    if(o.hidden[key] !== undefined) continue;
+    
+    o.hidden[key] = nav.hasAttribute('hidden');
+    o[key] = parseList(childElement(nav, ['ol']), navHref, false);
+  }
+  
+  return o;
+}
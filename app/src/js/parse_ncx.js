@@ -0,0 +1,81 @@
+'use strict';
+
+// Parses the NCX (Navigation Control file for XML) which is the
+// table of contents for EPUB 2 books. EPUB 3 books may include one as well.
+// https://www.opticalauthoring.com/inside-the-epub-format-the-still-useful-ncx-file/
+
+import {parseXML} from './parse_dom.js';
+import {splitFragment, resolveHref} from './paths.js';
+
+// Get the direct child elements of `el` with the tag name `name`
+function childElements(el, name) {
+  const ret = [];
+  var i;
+  for(i=0; i < el.children.length; i++) {
+    if(el.children[i].localName === name) {
+      ret.push(el.children[i]);
+    }
+  }
+  return ret;
+}
+
+// Get the text from e.g. <docTitle><text>Some title</text></docTitle>
+function getText(el) {
+  if(!el) return null;
+  const textEl = childElements(el, 'text')[0];
+  if(!textEl) return null;
+  return textEl.textContent.trim();
+}
+
+// Recursively parse the <navPoint> elements inside `parentEl`
+// The src= attributes are relative to the NCX file
+// but we want them relative to the .opf file, like the manifest hrefs
+function parseNavPoints(parentEl, ncxHref) {
+  const points = [];
+  var el, content, src, o;
+  for(el of childElements(parentEl, 'navPoint')) {
+    content = childElements(el, 'content')[0];
+    src = content ? content.getAttribute('src') : null;
+    if(src) {
+      o = splitFragment(resolveHref(ncxHref, src));
+    } else {
+      o = {href: null, fragment: null};
+    }
+    points.push({
+      label: getText(childElements(el, 'navLabel')[0]) || '',
+      href: o.href,
+      fragment: o.fragment,
+      playOrder: parseInt(el.getAttribute('playOrder')) || null,
+      children: parseNavPoints(el, ncxHref)
+    });
+  }
+  return points;
+}
+
+// Parse an NCX file into e.g:
+// {
+//   title: 'Some title',
+//   authors: ['Some Author'],
+//   toc: [{
+//     label: 'Chapter 1',
+//     href: 'text/ch01.xhtml',
+//     fragment: 'start',
+//     playOrder: 1,
+//     children: [...]
+//   }]
+// }
+//
+// `ncxHref` is the path of the NCX file relative to the .opf file
+//
+// Throws an exception if XML parsing fails
+export default function parseNCX(str, ncxHref) {
+  const doc = parseXML(str);
+  const ncx = doc.documentElement;
+  const navMap = childElements(ncx, 'navMap')[0];
+  
+  return {
+    title: getText(childElements(ncx, 'docTitle')[0]),
+    authors: childElements(ncx, 'docAuthor').map(getText).filter((a) => a),
+    toc: navMap ? parseNavPoints(navMap, ncxHref || '') : []
+  };
+}
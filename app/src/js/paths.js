@@ -0,0 +1,66 @@
+'use strict';
+
+// Utility functions for paths of files inside an epub (zip) file
+
+// Get the directory part of a path including the trailing slash
+// e.g. 'OEBPS/content.opf' gives 'OEBPS/'
+function dirname(path) {
+  if(!path) return '';
+  const i = path.lastIndexOf('/');
+  if(i < 0) return '';
+  return path.slice(0, i + 1);
+}
+
+// Split e.g. 'text/ch01.xhtml#sec2' into:
+// {
+//   href: 'text/ch01.xhtml',
+//   fragment: 'sec2'
+// }
+function splitFragment(href) {
+  const i = href.indexOf('#');
+  if(i < 0) {
+    return {href, fragment: null};
+  }
+  return {
+    href: href.slice(0, i),
+    fragment: href.slice(i + 1) || null
+  };
+}
+
+// Resolve `href` relative to the file at `fromPath` (the file containing the href)
+// e.g. resolveHref('text/toc.ncx', '../images/cover.jpg') gives 'images/cover.jpg'
+// and resolveHref('text/ch01.xhtml', '#note1') gives 'text/ch01.xhtml#note1'
+// Absolute URIs (e.g. 'http://example.com/') are returned unchanged.
+function resolveHref(fromPath, href) {
+  if(!href) return href;
+  if(href.match(/^[a-z][a-z0-9+\-.]*:/i)) return href;
+  
+  const o = splitFragment(href);
+  var path;
+  if(!o.href) {
+    path = fromPath;
+  } else if(o.href[0] === '/') {
+    path = o.href.slice(1);
+  } else {
+    path = dirname(fromPath) + o.href;
+  }
+
+  const parts = [];
+  var part;
+  for(part of path.split('/')) {
+    if(part === '.' || part === '') continue;
+    if(part === '..') {
+      parts.pop();
+      continue;
+    }
+    parts.push(part);
+  }
+  path = parts.join('/');
+
+  if(o.fragment) {
+    path += '#' + o.fragment;
+  }
+  return path;
+}
+
+export {dirname, splitFragment, resolveHref};
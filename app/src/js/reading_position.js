@@ -0,0 +1,85 @@
+'use strict';
+
+import {load, save} from './storage.js';
+
+// Wait until there have been no page turns for this long before saving
+const SAVE_DELAY = 10 * 1000; // ms
+// but never wait longer than this since the first unsaved page turn
+const MAX_SAVE_DELAY = 60 * 1000; // ms
+
+// Remembers the reading position of a book between app restarts.
+//
+// The position is an object like:
+// {
+//   spineIndex: 3,
+//   cfi: 'epubcfi(/6/8[chap03]!/4/2/1:120)'
+// }
+//
+// Since writing to flash storage on every page turn
+// would wear it out, writes are delayed until the reader
+// pauses or the page is about to be closed.
+export default class ReadingPosition {
+
+  constructor(bookID) {
+    this.key = 'position.' + bookID;
+    this.saved = load(this.key, null);
+    this.pending = null;
+    this.timer = null;
+    this.firstPendingTime = 0;
+
+    this.flushBound = this.flush.bind(this);
+    this.onvisibilitychangeBound = this.onvisibilitychange.bind(this);
+    window.addEventListener('pagehide', this.flushBound);
+    document.addEventListener('visibilitychange', this.onvisibilitychangeBound);
+  }
+
+  // Get the last saved position or null if there is none
+  get() {
+    return this.pending || this.saved;
+  }
+
+  // Call this when the reading position changes
+  update(spineIndex, cfi) {
+    if(!cfi) return;
+    const cur = this.get();
+    if(cur && cur.cfi === cfi) return;
+    
+    if(!this.pending) {
+      this.firstPendingTime = Date.now();
+    }
+    this.pending = {spineIndex, cfi};
+
+    if(this.timer) {
+      clearTimeout(this.timer);
+    }
+    const delay = Math.min(SAVE_DELAY, MAX_SAVE_DELAY - (Date.now() - this.firstPendingTime));
+    this.timer = setTimeout(this.flushBound, Math.max(delay, 0));
+  }
+
+  // Write the pending position (if any) now
+  flush() {
+    if(this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if(!this.pending) return;
+
+    if(save(this.key, this.pending)) {
+      this.saved = this.pending;
+    }
+    this.pending = null;
+  }
+
+  onvisibilitychange() {
+    if(document.visibilityState === 'hidden') {
+      this.flush();
+    }
+  }
+
+  // Save any pending position and stop listening for page close events
+  close() {
+    this.flush();
+    window.removeEventListener('pagehide', this.flushBound);
+    document.removeEventListener('visibilitychange', this.onvisibilitychangeBound);
+  }
+}
@@ -0,0 +1,165 @@
+'use strict';
+
+// Parsing of the rootfiles listed in META-INF/container.xml
+// and selection between them for epubs with multiple renditions
+// as specified in EPUB Multiple-Rendition Publications 1.0:
+// http://www.idpf.org/epub/renditions/multiple/
+//
+// Each rendition has its own Package Document (.opf file)
+// and the rootfile elements can carry selection attributes, e.g:
+//
+//   <rootfile full-path="EN/package.opf"
+//             media-type="application/oebps-package+xml"
+//             rendition:language="en"
+//             rendition:layout="reflowable"
+//             rendition:label="English"/>
+
+import {parseXML} from './parse_dom.js';
+
+const RENDITION_NS = 'http://www.idpf.org/2013/rendition';
+
+const PACKAGE_MEDIA_TYPE = 'application/oebps-package+xml';
+
+function getRenditionAttr(el, name) {
+  return el.getAttributeNS(RENDITION_NS, name) || el.getAttribute('rendition:' + name) || null;
+}
+
+// Parse container.xml into an array of renditions in the form:
+// {
+//   path: 'EN/package.opf', // path to the .opf file inside the epub
+//   language: 'en', // or null
+//   layout: 'reflowable', // or 'pre-paginated' or null
+//   media: 'min-width: 1200px', // a CSS media query or null
+//   accessMode: 'textual', // or 'visual', 'auditory', 'tactile' or null
+//   label: 'English' // or null
+// }
+// The first rendition is the default.
+//
+// Throws an exception if there are no renditions
+function parseContainerXML(str) {
+  const doc = parseXML(str);
+  const els = doc.querySelectorAll("container > rootfiles > rootfile");
+
+  const renditions = [];
+  var el, path, mediaType;
+  for(el of els) {
+    // Rootfiles can point to other types of documents
+    // which we don't know how to show
+    mediaType = el.getAttribute('media-type');
+    if(mediaType && mediaType !== PACKAGE_MEDIA_TYPE) continue;
+
+    path = el.getAttribute('full-path');
+    if(!path) continue;
+    if(path[0] === '/') {
+      path = path.slice(1);
+    }
+
+    renditions.push({
+      path: path,
+      language: getRenditionAttr(el, 'language'),
+      layout: getRenditionAttr(el, 'layout'),
+      media: getRenditionAttr(el, 'media'),
+      accessMode: getRenditionAttr(el, 'accessMode'),
+      label: getRenditionAttr(el, 'label')
+    });
+  }
+
+  if(!renditions.length) {
+    throw new Error("This work appears to have no renditions listed in its META-INF/container.xml file");
+  }
+  return renditions;
+}
+
+// The preferences used by selectRendition() when none are given
+function defaultPreferences() {
+  return {
+    // In order of preference
+    languages: navigator.languages || [navigator.language],
+    layout: 'reflowable',
+    accessModes: ['textual', 'visual']
+  };
+}
+
+// How well a language tag like 'en-US' matches the preferred languages.
+// Higher is better and 0 means no match.
+function languageScore(language, languages) {
+  if(!language) return 0;
+  language = language.toLowerCase();
+  const primary = language.split('-')[0];
+
+  var i, pref;
+  for(i=0; i < languages.length; i++) {
+    pref = languages[i].toLowerCase();
+    if(pref === language) {
+      return (languages.length - i) * 2;
+    }
+    if(pref.split('-')[0] === primary) {
+      return (languages.length - i) * 2 - 1;
+    }
+  }
+  return 0;
+}
+
+function mediaMatches(media) {
+  if(!media || !window.matchMedia) return true;
+  // The spec allows media queries both with and without parens
+  if(media[0] !== '(' && media.indexOf(':') >= 0) {
+    media = '(' + media + ')';
+  }
+  return window.matchMedia(media).matches;
+}
+
+// Score a rendition against the preferences.
+// Returns an array where earlier elements are more important.
+function scoreRendition(rendition, prefs) {
+  return [
+    mediaMatches(rendition.media) ? 1 : 0,
+    languageScore(rendition.language, prefs.languages || []),
+    (!rendition.layout || rendition.layout === prefs.layout) ? 1 : 0,
+    (!rendition.accessMode || (prefs.accessModes || []).indexOf(rendition.accessMode) >= 0) ? 1 : 0
+  ];
+}
+
+function compareScores(a, b) {
+  var i;
+  for(i=0; i < a.length; i++) {
+    if(a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// Get the index of the rendition that best matches the user's
+// preferences (see defaultPreferences()) and the device.
+// On a tie the earliest rendition wins since the first one is the default.
+function selectRendition(renditions, prefs) {
+  prefs = Object.assign(defaultPreferences(), prefs || {});
+  if(!prefs.languages || !prefs.languages.length) {
+    prefs.languages = defaultPreferences().languages;
+  }
+
+  var best = 0;
+  var bestScore = scoreRendition(renditions[0], prefs);
+  var i, score;
+  for(i=1; i < renditions.length; i++) {
+    score = scoreRendition(renditions[i], prefs);
+    if(compareScores(score, bestScore) > 0) {
+      best = i;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Get a human readable name for a rendition
+function renditionLabel(rendition, index) {
+  if(rendition.label) return rendition.label;
+  const parts = [];
+  if(rendition.language) parts.push(rendition.language);
+  if(rendition.layout) parts.push(rendition.layout);
+  if(rendition.accessMode) parts.push(rendition.accessMode);
+  if(rendition.media) parts.push(rendition.media);
+  if(!parts.length) return "Rendition " + (index + 1);
+  return parts.join(', ');
+}
+
+export {parseContainerXML, defaultPreferences, selectRendition, renditionLabel};
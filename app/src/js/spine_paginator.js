@@ -1,12 +1,22 @@
 'use strict';
 
 const Paginator = require('ebook-paginator');
+const {parseCFI, generateCFI, resolvePath, comparePositions} = require('./cfi.js');
+const {FixedLayoutView} = require('./fixed_layout.js');
+const {resolveHref, splitFragment} = require('./paths.js');
+const {hideFootnotes, isNoteRef} = require('./footnotes.js');
+const {parseXHTML, parseDOM} = require('./parse_dom.js');
+const {normalizeEpubCSS, normalizeEpubStyles, resolveCSSURLs} = require('./css.js');
 
 // An ebook's spine is an array of html files
 // that make up the ebook in reading order
 
 // SpinePaginator uses ebook-paginator to paginate through
-// each individual html file of the spine in the correct order
+// each individual html file of the spine in the correct order.
+//
+// Pre-paginated (fixed layout) spine items are not paginated
+// but shown as a single page, or a two-page spread,
+// using FixedLayoutView (see fixed_layout.js)
 
 class SpinePaginator {
 
@@ -14,37 +24,305 @@ class SpinePaginator {
     this.opts = opts || {};
     this.spine = spine; // aka the "spine"
     this.spineIndex = undefined;
+    this.curURI = undefined; // the currently loaded URI relative to baseURI
     this.baseURI = this.opts.baseURI || '';
 
     this.onLastPage = false; // are we on the last page of the current html file
     this.onFirstPage = false; // are we on the first page of the current html file
-    
+    // Starts of the pages of the current html file that have been shown
+    this.pageStarts = [];
+
+    // The layout ('reflowable' or 'pre-paginated') of each spine item
+    // and the layout used for documents not in the spine
+    this.layouts = this.opts.layouts || [];
+    this.layout = this.opts.layout || 'reflowable';
+    this.fixedLayout = null; // FixedLayoutView, created when first needed
+    this.fixed = false; // is the current html file shown using fixedLayout
+
+    // The page progression direction of the book ('ltr' or 'rtl')
+    this.direction = this.opts.direction || 'ltr';
+
+    // For fixed layout spine items: which side of a two-page spread
+    // each item goes on ('left', 'right', 'center' or null)
+    // and when spreads should be shown ('none', 'landscape', 'both' or 'auto')
+    this.pageSpreads = this.opts.pageSpreads || [];
+    this.spreads = this.opts.spreads || [];
+    this.spread = []; // spine indexes shown on screen, in reading order
+
+    // Whether each spine item is part of the linear reading order.
+    // Non-linear items are skipped when turning pages.
+    this.linear = this.opts.linear || [];
+
     this.paginator = new Paginator(pageElementID, opts);
+
+    // The content of each spine item is copied into the paginator's
+    // own page so the dir attribute of the spine item is lost
+    // unless we copy it over as well.
+    // Footnotes are hidden since they are shown in popups instead.
+    const loadChapter = this.paginator.loadChapter.bind(this.paginator);
+    this.paginator.loadChapter = async (uri) => {
+      const doc = await loadChapter(uri);
+      this.setPageDirection(doc);
+      hideFootnotes(doc);
+      normalizeEpubStyles(doc);
+      return doc;
+    };
+
+    // The CSS of each spine item is loaded by loadCSS() rather than
+    // by ebook-paginator so it always goes through processCSS().
+    // The user stylesheet (see setUserCSS()) must come after
+    // the CSS of each spine item to be able to override it
+    this.contentStyleElements = [];
+    this.userCSS = this.opts.userCSS || '';
+    this.userStyleElement = null;
+    this.paginator.loadCSS = async () => {
+      await this.loadCSS();
+      await this.applyUserCSS();
+    };
+
+    // opts.onLink(link) is called when a link in the content is clicked
+    // with the link resolved by resolveLink()
+    this.onclickBound = this.onclick.bind(this);
+    this.paginator.iDoc.addEventListener('click', this.onclickBound);
+
+    // opts.onDocument(doc) is called for every document the content
+    // is shown in so e.g. touch listeners can be added to it
+    if(this.opts.onDocument) this.opts.onDocument(this.paginator.iDoc);
+  }
+
+  // Run CSS from the spine item at `docURI` through normalizeEpubCSS(),
+  // which rewrites -epub- prefixed properties to ones WebKit understands
+  // so ebook-paginator's PostCSS-based opts.preprocessCSS isn't needed.
+  //
+  // opts.processCSS(css, href, docURI) lets the caller change
+  // the CSS of a spine item before it is injected.
+  // `href` is the href of the stylesheet (undefined for <style> tags)
+  // relative to `docURI` which is the spine item containing it.
+  // It must return a promise of the processed CSS.
+  // Fixed layout documents get the same treatment
+  // (see processFixedLayoutDocument()).
+  async processCSS(css, href, docURI) {
+    css = normalizeEpubCSS(css);
+    if(this.opts.processCSS) {
+      css = await this.opts.processCSS(css, href, docURI);
+    }
+    return css;
+  }
+
+  // Get the URI of a loaded document relative to baseURI
+  documentURI(doc) {
+    if(doc.URL.indexOf(this.baseURI) === 0) {
+      return doc.URL.slice(this.baseURI.length);
+    }
+    return this.curURI;
+  }
+
+  // Fixed layout documents are loaded directly by the browser
+  // so their stylesheets are replaced by processed copies
+  // before the documents are shown, e.g. to deobfuscate fonts.
+  async processFixedLayoutDocument(doc) {
+    const docURI = this.documentURI(doc);
+    normalizeEpubStyles(doc);
+
+    const els = doc.querySelectorAll('link[rel~="stylesheet"][href], style');
+    var el, href, cssURI, css, style;
+    for(el of els) {
+      try {
+        if(el.tagName.toLowerCase() === 'style') {
+          el.textContent = await this.processCSS(el.textContent, undefined, docURI);
+          continue;
+        }
+        href = el.getAttribute('href');
+        cssURI = resolveHref(docURI, href);
+        const resp = await fetch(this.absoluteURI(cssURI));
+        css = await this.processCSS(await resp.text(), href, docURI);
+        // The <style> is in the document so relative url()s
+        // must no longer be relative to the stylesheet
+        css = resolveCSSURLs(css, (uri) => this.absoluteURI(resolveHref(cssURI, uri)));
+      } catch(err) {
+        console.error("Failed to process CSS of " + docURI + ":", err);
+        continue;
+      }
+      style = doc.createElement('style');
+      style.textContent = css;
+      if(el.getAttribute('media')) style.setAttribute('media', el.getAttribute('media'));
+      el.parentNode.replaceChild(style, el);
+    }
+  }
+
+  // Find out where a link in the spine item at `docURI` leads.
+  // Returns e.g:
+  // {
+  //   external: false,
+  //   uri: 'text/ch02.xhtml', // relative to baseURI, or absolute if external
+  //   spineIndex: 3, // -1 if not in the spine
+  //   fragment: 'note1', // or null
+  //   noteref: false // is the link marked as a reference to a footnote
+  // }
+  resolveLink(href, docURI) {
+    if(href.match(/^[a-z][a-z0-9+\-.]*:/i)) {
+      return {external: true, uri: href, spineIndex: -1, fragment: null, noteref: false};
+    }
+    const o = splitFragment(resolveHref(docURI || '', href));
+    return {
+      external: false,
+      uri: o.href,
+      spineIndex: this.spine.indexOf(o.href),
+      fragment: o.fragment,
+      noteref: false
+    };
+  }
+
+  // Get the document for a URI relative to baseURI.
+  // The current spine item is returned as loaded,
+  // anything else is fetched and parsed.
+  async getDocument(uri) {
+    if(uri === this.curURI && !this.fixed && this.paginator.doc) {
+      return this.paginator.doc;
+    }
+    const resp = await fetch(this.absoluteURI(uri));
+    const str = await resp.text();
+    try {
+      return parseXHTML(str);
+    } catch(err) {
+      return parseDOM(str, 'text/html');
+    }
+  }
+
+  onclick(e) {
+    if(!this.opts.onLink || !e.target || !e.target.closest) return;
+    
+    const a = e.target.closest('a[href]');
+    if(!a) return;
+    e.preventDefault();
+
+    // Links in fixed layout pages are relative to the page they are on
+    var docURI = this.curURI;
+    const doc = a.ownerDocument;
+    if(doc !== this.paginator.iDoc) {
+      docURI = this.documentURI(doc);
+    }
+    const link = this.resolveLink(a.getAttribute('href'), docURI);
+    link.noteref = isNoteRef(a);
+    this.opts.onLink(link);
+  }
+
+  // Inject the processed CSS of the currently loaded reflowable spine item
+  // into the paginator's page, replacing that of the previous one
+  async loadCSS() {
+    var el;
+    for(el of this.contentStyleElements) {
+      this.removeInjectedCSS(el);
+    }
+    this.contentStyleElements = [];
+
+    const docURI = this.curURI;
+    const els = this.paginator.doc.querySelectorAll('head > link[rel~="stylesheet"][href], head > style');
+    var href, cssURI, css;
+    for(el of els) {
+      try {
+        if(el.tagName.toLowerCase() === 'style') {
+          cssURI = docURI;
+          css = await this.processCSS(el.textContent, undefined, docURI);
+        } else {
+          if(el.getAttribute('disabled')) continue;
+          href = el.getAttribute('href');
+          cssURI = resolveHref(docURI, href);
+          const resp = await fetch(this.absoluteURI(cssURI));
+          css = await this.processCSS(await resp.text(), href, docURI);
+        }
+        // The CSS is moved to the paginator's page
+        // so relative url()s must be made absolute
+        css = resolveCSSURLs(css, (uri) => this.absoluteURI(resolveHref(cssURI, uri)));
+      } catch(err) {
+        console.error("Failed to process CSS of " + docURI + ":", err);
+        continue;
+      }
+      this.contentStyleElements.push(await this.paginator.injectCSS(css, {preprocessCSS: false}));
+    }
+  }
+
+  removeInjectedCSS(el) {
+    if(el.parentNode) el.parentNode.removeChild(el);
+    this.paginator.injectedCSS = this.paginator.injectedCSS.filter((o) => o !== el);
+  }
+
+  // Set the CSS that is applied to reflowable content after its own CSS.
+  // Call relayout() afterwards to re-paginate using the new CSS.
+  async setUserCSS(css) {
+    this.userCSS = css || '';
+    await this.applyUserCSS();
+  }
+
+  async applyUserCSS() {
+    const el = this.userStyleElement;
+    if(el) {
+      this.removeInjectedCSS(el);
+      this.userStyleElement = null;
+    }
+    if(!this.userCSS) return;
+    this.userStyleElement = await this.paginator.injectCSS(this.userCSS);
+  }
+
+  // Re-paginate the current spine item, e.g. after changing the user CSS,
+  // staying on the page showing the text that was at the top of the current page
+  async relayout() {
+    if(this.fixed) return true;
+    // All page boundaries may have moved so the spine item is reloaded
+    const cfi = this.getCFI();
+    if(!cfi) return await this.load(this.curURI);
+    return await this.goToCFI(cfi);
+  }
+
+  // Set the text direction of the paginator's page to that of `doc`
+  // or to the page progression direction of the book if `doc` doesn't specify one
+  setPageDirection(doc) {
+    var dir;
+    if(doc) {
+      if(doc.body) dir = doc.body.getAttribute('dir');
+      if(!dir && doc.documentElement) dir = doc.documentElement.getAttribute('dir');
+    }
+    if(!dir || dir === 'auto') dir = this.direction;
+    
+    this.paginator.page.dir = dir;
+    this.paginator.iDoc.documentElement.dir = dir;
   }
 
   absoluteURI(relativeURI) {
     return this.baseURI + relativeURI;
   }
 
+  isLinear(spineIndex) {
+    return this.linear[spineIndex] !== false;
+  }
+
+  // Is the currently shown spine item outside of the linear reading order?
+  isNonLinear() {
+    return this.spineIndex >= 0 && !this.isLinear(this.spineIndex);
+  }
+
   async nextSpineItem() {
-    if(this.spineIndex + 1 >= this.spine.length) {
-      return false;
+    // Skip past the other page of a two-page spread
+    var i = (this.fixed && this.spread.length) ? this.spread[this.spread.length - 1] : this.spineIndex;
+    for(i++; i < this.spine.length; i++) {
+      if(this.isLinear(i)) {
+        return await this.load(i);
+      }
     }
-    this.spineIndex++;
-    return await this.load(this.spineIndex);
+    return false;
   }
 
   async prevSpineItem() {
-    var uri;
-    if(this.spineIndex === 0 && this.preSpineURI) {
-      uri = this.preSpineURI;
-      this.spineIndex = -1;
-    } else if(this.spineIndex <= 0) {
-      return false;
+    var i;
+    for(i=this.spineIndex - 1; i >= 0; i--) {
+      if(this.isLinear(i)) {
+        return await this.load(i);
+      }
     }
-
-    this.spineIndex--;
-    return await this.load(uri || this.spineIndex);
+    if(this.spineIndex >= 0 && this.preSpineURI) {
+      return await this.load(this.preSpineURI);
+    }
+    return false;
   }
 
   // Load an html file and begin paginating
@@ -52,11 +330,14 @@ class SpinePaginator {
   // If uri is not provided then the first entry in the spine array is assumed
   // If the uri is not in the spine,
   // then it is assumed that the URI is at index -1, so before the entire spine
-  async load(uri) {
+  // If fragment is specified then paginate to the page containing
+  // the element with that id
+  async load(uri, fragment) {
     if(!uri) uri = 0;;
 
     // uri is an index into the spine array
     if(typeof uri === 'number') {
+      this.spineIndex = uri;
       uri = this.spine[uri];
       if(!uri) throw new Error("Invalid URI or spine index");
       
@@ -75,7 +356,13 @@ class SpinePaginator {
       }
     }
 
+    this.curURI = uri;
     uri = this.absoluteURI(uri);
+
+    if(this.isFixedLayout(this.spineIndex)) {
+      return await this.loadFixedLayout(this.spineIndex, uri);
+    }
+    this.showFixedLayout(false);
     
     const ret = await this.paginator.load(uri);
     this.onFirstPage = true;
@@ -84,11 +371,221 @@ class SpinePaginator {
     } else {
       this.onLastPage = false;
     }
+    this.pageStarts = [];
+    this.recordPageStart();
+    if(!fragment) return ret;
+
+    const el = this.paginator.doc.getElementById(fragment);
+    if(!el) return ret;
+    
+    return await this.paginateTo({node: el, offset: 0});
+  }
+
+  isFixedLayout(spineIndex) {
+    const layout = (spineIndex >= 0) ? (this.layouts[spineIndex] || this.layout) : this.layout;
+    return layout === 'pre-paginated';
+  }
+
+  // Switch between showing the FixedLayoutView and the paginator
+  showFixedLayout(show) {
+    if(show && !this.fixedLayout) {
+      this.fixedLayout = new FixedLayoutView(this.paginator.containerElement, Object.assign({}, this.opts, {
+        processDocument: (doc) => this.processFixedLayoutDocument(doc)
+      }));
+    }
+    this.fixed = show;
+    this.paginator.iframeElement.style.display = (show) ? 'none' : 'block';
+    if(!show && this.fixedLayout) {
+      this.fixedLayout.hide();
+    }
+  }
+
+  // Should two-page spreads be shown for the spine item?
+  spreadsAllowed(spineIndex) {
+    switch(this.spreads[spineIndex] || 'auto') {
+    case 'none':
+      return false;
+    case 'both':
+    case 'portrait': // deprecated, means the same as 'both'
+      return true;
+    }
+    // 'landscape' and 'auto'
+    const rect = this.paginator.containerElement.getBoundingClientRect();
+    return rect.width > rect.height;
+  }
+
+  // Get the spine indexes of the fixed layout pages that are shown
+  // together with `spineIndex` as a two-page spread, in reading order.
+  //
+  // In a left-to-right book a spread is a page-spread-left item
+  // followed by a page-spread-right item, and the other way around
+  // for right-to-left books.
+  // Returns just [spineIndex] if it isn't part of a spread.
+  getSpread(spineIndex) {
+    if(!(spineIndex >= 0) || !this.spreadsAllowed(spineIndex)) {
+      return [spineIndex];
+    }
+    const firstSide = (this.direction === 'rtl') ? 'right' : 'left';
+    const secondSide = (this.direction === 'rtl') ? 'left' : 'right';
+
+    const isPair = (i) => {
+      return this.pageSpreads[i] === firstSide
+        && this.pageSpreads[i + 1] === secondSide
+        && this.isFixedLayout(i + 1);
+    };
+    
+    if(isPair(spineIndex)) {
+      return [spineIndex, spineIndex + 1];
+    }
+    if(spineIndex > 0 && isPair(spineIndex - 1)) {
+      return [spineIndex - 1, spineIndex];
+    }
+    return [spineIndex];
+  }
+
+  async loadFixedLayout(spineIndex, uri) {
+    this.showFixedLayout(true);
+    // A fixed layout document is always a single page
+    this.onFirstPage = true;
+    this.onLastPage = true;
+
+    this.spread = this.getSpread(spineIndex);
+    if(this.spread.length < 2) {
+      this.spread = (spineIndex >= 0) ? [spineIndex] : [];
+      const ret = await this.fixedLayout.load([uri], 0);
+      this.listenForLinks();
+      return ret;
+    }
+
+    // The spread is referenced by its first page
+    this.spineIndex = this.spread[0];
+    this.curURI = this.spine[this.spineIndex];
+    const uris = this.spread.map((i) => this.absoluteURI(this.spine[i]));
+    
+    // FixedLayoutView wants the pages in order from left to right
+    var ret;
+    if(this.direction === 'rtl') {
+      ret = await this.fixedLayout.load(uris.reverse(), 1);
+    } else {
+      ret = await this.fixedLayout.load(uris, 0);
+    }
+    this.listenForLinks();
     return ret;
   }
 
+  // Each fixed layout page is a new document so the click
+  // listener has to be added every time
+  listenForLinks() {
+    var doc;
+    for(doc of this.fixedLayout.docs) {
+      if(!doc) continue;
+      doc.addEventListener('click', this.onclickBound);
+      if(this.opts.onDocument) this.opts.onDocument(doc);
+    }
+  }
+
+  // Zooming and panning is only possible for fixed layout documents.
+  // These functions return false if nothing changed.
+
+  isZoomed() {
+    return this.fixed && this.fixedLayout.isZoomed();
+  }
+
+  zoomIn() {
+    if(!this.fixed) return false;
+    return this.fixedLayout.zoomIn();
+  }
+
+  zoomOut() {
+    if(!this.fixed) return false;
+    return this.fixedLayout.zoomOut();
+  }
+
+  resetZoom() {
+    if(!this.isZoomed()) return false;
+    this.fixedLayout.resetZoom();
+    return true;
+  }
+
+  // Pan by fractions of the screen size
+  pan(dx, dy) {
+    if(!this.isZoomed()) return false;
+    this.fixedLayout.pan(dx, dy);
+    return true;
+  }
+
+  // Get the start of the current page as {node, offset}
+  // in the currently loaded html file, or null if unknown
+  pageStart() {
+    const doc = this.paginator.doc;
+    if(!doc || !doc.body) return null;
+    var bookmark;
+    try {
+      bookmark = this.paginator.getBookmark();
+    } catch(err) {
+      return null;
+    }
+    if(!bookmark || typeof bookmark.count !== 'number') return null;
+    const node = (bookmark.count) ? this.paginator.findNodeOrCount(doc.body, bookmark.count) : doc.body;
+    if(!node) return null;
+    return {node: node, offset: bookmark.offset || 0};
+  }
+
+  // Remember where the current page starts.
+  // Where a page ends is only known once the page after it has been shown.
+  recordPageStart() {
+    const start = this.pageStart();
+    if(!start) return null;
+    if(!this.pageStarts.some((s) => comparePositions(s, start) === 0)) {
+      this.pageStarts.push(start);
+    }
+    return start;
+  }
+
+  // Get the start of the page after the one starting at `start`
+  // or null if that page hasn't been shown yet
+  nextPageStart(start) {
+    var next = null;
+    var s;
+    for(s of this.pageStarts) {
+      if(comparePositions(s, start) <= 0) continue;
+      if(!next || comparePositions(s, next) < 0) next = s;
+    }
+    return next;
+  }
+
+  // Paginate forward from the current page until reaching the page
+  // containing `target` which is a location of the form {node, offset}
+  // in the currently loaded html file.
+  // Each page is compared to the target once it has been shown
+  // and when we've gone past the target we step back one page.
+  async paginateTo(target) {
+    var start;
+    while(true) {
+      start = this.recordPageStart();
+      if(!start) break;
+      if(comparePositions(start, target) === 0) break;
+
+      if(comparePositions(start, target) > 0) {
+        // Can't happen on the first page since it starts at <body>
+        if(this.onFirstPage) break;
+        await this.paginator.prevPage();
+        this.onLastPage = false;
+        start = this.recordPageStart();
+        this.onFirstPage = (!start || (start.node === this.paginator.doc.body && !start.offset));
+        break;
+      }
+
+      if(this.onLastPage) break;
+      const ret = await this.paginator.nextPage();
+      this.onFirstPage = false;
+      this.onLastPage = !ret;
+    }
+    return !this.onLastPage;
+  }
+
   async firstPage() {
-    const ret = this.paginator.nextPage();
+    const ret = await this.paginator.firstPage();
     this.onFirstPage = true;
     if(!ret) {
       this.onLastPage = true;
@@ -109,6 +606,7 @@ class SpinePaginator {
     } else {
       this.onLastPage = false;      
     }
+    this.recordPageStart();
     return ret;
   }
 
@@ -125,8 +623,155 @@ class SpinePaginator {
     } else {
       this.onLastPage = false;      
     }
+    this.recordPageStart();
     return ret;
-  }  
+  }
+
+  // The Package Document part of a CFI for a spine item, e.g. "/6/4[chap01ref]"
+  // If opts.cfiBases was not provided then assume that <spine>
+  // is the third element in <package> as it is in almost all epubs
+  cfiBase(spineIndex) {
+    if(this.opts.cfiBases && this.opts.cfiBases[spineIndex]) {
+      return this.opts.cfiBases[spineIndex];
+    }
+    return '/6/' + ((spineIndex + 1) * 2);
+  }
+
+  // Find the spine index referenced by a CFI parsed with parseCFI()
+  // Returns -1 if the CFI does not reference anything in the spine
+  cfiSpineIndex(cfi) {
+    const stripAssertions = new RegExp(/\[(\^.|[^\]])*\]/g);
+    const path = cfi.packagePath.map((step) => '/' + step.index).join('');
+    var i;
+    for(i=0; i < this.spine.length; i++) {
+      if(this.cfiBase(i).replace(stripAssertions, '') === path) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Get a CFI for the first node on the current page
+  getCFI() {
+    if(!(this.spineIndex >= 0)) return null;
+    if(this.fixed) {
+      const doc = this.fixedLayout.doc;
+      if(!doc || !doc.documentElement) return null;
+      return generateCFI(this.cfiBase(this.spineIndex), doc.body || doc.documentElement);
+    }
+    const start = this.pageStart();
+    if(!start) return null;
+
+    return generateCFI(this.cfiBase(this.spineIndex), start.node, start.offset);
+  }
+
+  // Check if the location referenced by a CFI string is on the current page.
+  // Until the page after the current one has been shown we don't know
+  // where the current page ends so only its start counts.
+  isCFIOnCurrentPage(cfi) {
+    try {
+      cfi = parseCFI(cfi);
+    } catch(err) {
+      return false;
+    }
+    // Everything in a fixed layout document is on the one page
+    if(this.fixed) {
+      return this.spread.indexOf(this.cfiSpineIndex(cfi)) >= 0;
+    }
+    if(this.cfiSpineIndex(cfi) !== this.spineIndex) return false;
+    
+    const target = resolvePath(this.paginator.doc, cfi);
+    if(!target) return false;
+    
+    const start = this.pageStart();
+    if(!start) return false;
+    const cmp = comparePositions(start, target);
+    if(cmp === 0) return true;
+    if(cmp > 0) return false;
+    if(this.onLastPage) return true;
+    const next = this.nextPageStart(start);
+    return !!next && comparePositions(next, target) > 0;
+  }
+
+  // Get the text shown on the current page
+  getPageText() {
+    var text;
+    if(this.fixed) {
+      text = this.fixedLayout.docs.map((doc) => {
+        const el = doc && (doc.body || doc.documentElement);
+        return (el) ? el.textContent : '';
+      }).join(' ');
+    } else {
+      text = this.paginator.page.textContent;
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // Search the text of all spine items for `query` (case insensitive).
+  // Returns up to `maxResults` results in reading order like:
+  // {
+  //   spineIndex: 3,
+  //   cfi: 'epubcfi(/6/8[chap03]!/4/2/1:10)',
+  //   excerpt: '...text around the match...'
+  // }
+  // Matches are only found within a single text node
+  // so text split by e.g. <em> tags isn't found.
+  async search(query, maxResults) {
+    query = (query || '').trim().toLowerCase();
+    maxResults = maxResults || 100;
+    const results = [];
+    if(!query) return results;
+
+    var i, doc, walker, node, text, offset;
+    for(i=0; i < this.spine.length; i++) {
+      if(this.isFixedLayout(i)) continue;
+      try {
+        doc = await this.getDocument(this.spine[i]);
+      } catch(err) {
+        console.error("Failed to search " + this.spine[i] + ":", err);
+        continue;
+      }
+      if(!doc.body) continue;
+
+      walker = doc.createTreeWalker(doc.body, 4); // NodeFilter.SHOW_TEXT
+      while((node = walker.nextNode())) {
+        text = node.nodeValue;
+        offset = text.toLowerCase().indexOf(query);
+        while(offset >= 0) {
+          results.push({
+            spineIndex: i,
+            cfi: generateCFI(this.cfiBase(i), node, offset),
+            excerpt: text.slice(Math.max(offset - 40, 0), offset + query.length + 40).replace(/\s+/g, ' ').trim()
+          });
+          if(results.length >= maxResults) return results;
+          offset = text.toLowerCase().indexOf(query, offset + query.length);
+        }
+      }
+    }
+    return results;
+  }
+
+  // Go to the location referenced by a CFI string.
+  // The spine item is loaded and then paginated forward
+  // until we reach the page containing the location.
+  async goToCFI(cfi) {
+    cfi = parseCFI(cfi);
+
+    const index = this.cfiSpineIndex(cfi);
+    if(index < 0) {
+      throw new Error("The CFI does not reference an item in the spine");
+    }
+    const ret = await this.load(index);
+    if(this.fixed) return ret;
+
+    const target = resolvePath(this.paginator.doc, cfi);
+    if(!target) {
+      console.log("Location referenced by CFI not found. Staying at start of spine item.");
+      return ret;
+    }
+
+    return await this.paginateTo(target);
+  }
 }
 
 module.exports = SpinePaginator;
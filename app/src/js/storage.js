@@ -0,0 +1,72 @@
+'use strict';
+
+// Persistent storage of JSON-serializable values using localStorage
+
+const prefix = 'fread.';
+
+function load(key, defaultValue) {
+  var str;
+  try {
+    str = window.localStorage.getItem(prefix + key);
+  } catch(err) {
+    console.error("Failed to read from local storage:", err);
+    return defaultValue;
+  }
+  if(str === null) return defaultValue;
+  
+  try {
+    return JSON.parse(str);
+  } catch(err) {
+    console.error("Ignoring corrupt value in local storage for key:", key);
+    return defaultValue;
+  }
+}
+
+function save(key, value) {
+  try {
+    window.localStorage.setItem(prefix + key, JSON.stringify(value));
+  } catch(err) {
+    console.error("Failed to write to local storage:", err);
+    return false;
+  }
+  return true;
+}
+
+function remove(key) {
+  try {
+    window.localStorage.removeItem(prefix + key);
+  } catch(err) {
+    console.error("Failed to remove from local storage:", err);
+  }
+}
+
+// 32 bit FNV-1a hash of a string as a hex string
+function hash(str) {
+  var h = 0x811c9dc5;
+  var i;
+  for(i=0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+// Get a string that identifies a book for use in storage keys.
+// This is the EPUB's UUID if it has one
+// or else a hash of the path to the epub file.
+// Renditions other than the first get their own ID
+// since e.g. a CFI in one rendition is meaningless in another.
+function getBookID(opf, filepath) {
+  var id;
+  if(opf && opf.identifiers && opf.identifiers.UUID) {
+    id = 'uuid:' + opf.identifiers.UUID.trim();
+  } else {
+    id = 'path:' + hash(filepath);
+  }
+  if(opf && opf.renditionIndex) {
+    id += ':rendition' + opf.renditionIndex;
+  }
+  return id;
+}
+
+export {load, save, remove, hash, getBookID};
@@ -0,0 +1,78 @@
+'use strict';
+
+// Color themes for the app and the content of books.
+//
+// The app's colors come from a theme stylesheet (src/css/theme-*.scss)
+// which is swapped out when the theme changes.
+// The content of books gets extra CSS (see themeCSS()) injected
+// by SpinePaginator along with the typography settings.
+// Fixed layout content is never changed.
+
+import {load, save} from './storage.js';
+
+const STORAGE_KEY = 'theme';
+
+const THEMES = {
+  light: "Light",
+  sepia: "Sepia",
+  dark: "Dark"
+};
+
+const DEFAULT_THEME = 'light';
+
+// How images are shown in the dark theme.
+// The content is inverted so images must be inverted again
+// to look like the original. The filters are applied
+// before the inversion of the content.
+const darkImageFilters = {
+  original: 'invert(1) hue-rotate(180deg)',
+  dimmed: 'brightness(0.8) invert(1) hue-rotate(180deg)',
+  // Works well for line art and diagrams on e-paper
+  inverted: 'none'
+};
+
+function loadTheme() {
+  const name = load(STORAGE_KEY, DEFAULT_THEME);
+  return (THEMES[name]) ? name : DEFAULT_THEME;
+}
+
+function saveTheme(name) {
+  return save(STORAGE_KEY, name);
+}
+
+// Get the theme after `name`
+function nextTheme(name) {
+  const names = Object.keys(THEMES);
+  return names[(names.indexOf(name) + 1) % names.length];
+}
+
+function themeLabel(name) {
+  return THEMES[name];
+}
+
+// Switch the stylesheet used for the app's own colors
+function applyTheme(name) {
+  const el = document.getElementById('theme');
+  if(!el) return;
+  el.href = 'ebook://build/theme-' + name + '.css';
+}
+
+// Get the CSS to inject into the content of books for a theme.
+// `opts.darkImages` is 'original', 'dimmed' or 'inverted' (see above)
+function themeCSS(name, opts) {
+  opts = opts || {};
+  if(name === 'sepia') {
+    // Same as --page-background and --foreground in theme-sepia.scss
+    return "html, body {\n  background-color: #f4ecd8;\n  color: #3b2f1e;\n}\n";
+  }
+  if(name === 'dark') {
+    // Transparent parts of the page stay transparent when inverted
+    // so the page background of the theme shows through
+    const imageFilter = darkImageFilters[opts.darkImages] || darkImageFilters.original;
+    return "body {\n  filter: invert(1) hue-rotate(180deg);\n}\n"
+      + "img, video, canvas, svg image {\n  filter: " + imageFilter + ";\n}\n";
+  }
+  return '';
+}
+
+export {THEMES, loadTheme, saveTheme, nextTheme, themeLabel, applyTheme, themeCSS};
@@ -0,0 +1,167 @@
+'use strict';
+
+// Generates and caches cover thumbnails for the library.
+//
+// Thumbnails are grayscale and of a fixed size so they look good on e-paper
+// and never need to be scaled by the browser. They are cached in IndexedDB
+// as records like:
+// {
+//   path: '/books/some_book.epub',
+//   mtime: 1583712000000, // mtime of the epub when the thumbnail was made
+//   dataURI: 'data:image/png;base64,...'
+// }
+//
+// Books without a cover image get a placeholder showing the title and author.
+
+import * as db from './library_db.js';
+
+const WIDTH = 120;
+const HEIGHT = 180;
+
+const BACKGROUND = '#ffffff';
+const FOREGROUND = '#000000';
+
+async function getCoverBlob(record) {
+  const blob = await Fread.getFromZip(record.path, record.coverPath, true);
+  // The ebook:// URI scheme doesn't send the correct mimetype
+  // which prevents e.g. SVG images from being decoded
+  return new Blob([blob], {type: record.coverMediaType});
+}
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const uri = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = function() {
+      URL.revokeObjectURL(uri);
+      resolve(img);
+    };
+    img.onerror = function() {
+      URL.revokeObjectURL(uri);
+      reject(new Error("Failed to decode cover image"));
+    };
+    img.src = uri;
+  });
+}
+
+function createCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  return {canvas, ctx};
+}
+
+function toGrayscale(ctx) {
+  const imageData = ctx.getImageData(0, 0, WIDTH, HEIGHT);
+  const data = imageData.data;
+  var i, y;
+  for(i=0; i < data.length; i += 4) {
+    y = Math.round(0.299 * data[i] + 0.587 * data[i+1] + 0.114 * data[i+2]);
+    data[i] = data[i+1] = data[i+2] = y;
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// Scale the image to fit inside the thumbnail
+// keeping the aspect ratio and centering it
+function drawCover(img) {
+  const {canvas, ctx} = createCanvas();
+  const scale = Math.min(WIDTH / img.width, HEIGHT / img.height);
+  const w = Math.round(img.width * scale);
+  const h = Math.round(img.height * scale);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, Math.round((WIDTH - w) / 2), Math.round((HEIGHT - h) / 2), w, h);
+  toGrayscale(ctx);
+  return canvas;
+}
+
+// Split text into lines that fit within maxWidth
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  var line = '';
+  var word;
+  for(word of text.split(/\s+/)) {
+    if(line && ctx.measureText(line + ' ' + word).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = (line) ? line + ' ' + word : word;
+    }
+  }
+  if(line) lines.push(line);
+  return lines;
+}
+
+function drawLines(ctx, lines, y, lineHeight, maxLines) {
+  var i;
+  for(i=0; i < lines.length && i < maxLines; i++) {
+    ctx.fillText(lines[i], WIDTH / 2, y + i * lineHeight);
+  }
+}
+
+// Draw a placeholder showing the title and first author
+function drawPlaceholder(title, author) {
+  const {canvas, ctx} = createCanvas();
+  const margin = 10;
+
+  ctx.strokeStyle = FOREGROUND;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(4, 4, WIDTH - 8, HEIGHT - 8);
+
+  ctx.fillStyle = FOREGROUND;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+
+  ctx.font = 'bold 16px serif';
+  drawLines(ctx, wrapText(ctx, title || "Untitled", WIDTH - margin * 2), 30, 19, 5);
+
+  if(author) {
+    ctx.font = 'italic 12px serif';
+    drawLines(ctx, wrapText(ctx, author, WIDTH - margin * 2), HEIGHT - 50, 14, 2);
+  }
+  return canvas;
+}
+
+// Generate a thumbnail for a library record (see library.js) and cache it.
+// Returns the thumbnail as a data URI.
+async function generate(record) {
+  var canvas;
+  if(record.coverPath) {
+    try {
+      canvas = drawCover(await loadImage(await getCoverBlob(record)));
+    } catch(err) {
+      console.error("Failed to make thumbnail for " + record.path + ":", err);
+    }
+  }
+  if(!canvas) {
+    canvas = drawPlaceholder(record.title, record.authors && record.authors[0]);
+  }
+
+  const dataURI = canvas.toDataURL('image/png');
+  await db.put({
+    path: record.path,
+    mtime: record.mtime,
+    dataURI: dataURI
+  }, db.THUMBNAILS);
+  
+  return dataURI;
+}
+
+// Get the thumbnail for a library record as a data URI
+// generating it only if it isn't cached or the epub has changed
+async function get(record) {
+  const thumb = await db.get(record.path, db.THUMBNAILS);
+  if(thumb && thumb.mtime === record.mtime) {
+    return thumb.dataURI;
+  }
+  return await generate(record);
+}
+
+async function remove(path) {
+  await db.remove(path, db.THUMBNAILS);
+}
+
+export {WIDTH, HEIGHT, generate, get, remove};
@@ -0,0 +1,56 @@
+'use strict';
+
+// Helpers for table of contents trees of the form
+// [{label, href, fragment, children}] (see parse_ncx.js and parse_nav.js)
+//
+// Entries are identified by a key which is their path in the tree
+// e.g. '2.0' is the first child of the third top-level entry
+
+// Find the key of the entry for the chapter containing a spine item.
+// That is the first entry pointing into the last spine item
+// at or before `spineIndex`.
+// Returns null if no entry was found.
+function findChapterKey(toc, spine, spineIndex) {
+  var best = null;
+  var bestIndex = -1;
+
+  function walk(entries, prefix) {
+    var i, key, index;
+    for(i=0; i < entries.length; i++) {
+      if(entries[i].hidden) continue;
+      key = prefix + i;
+      index = spine.indexOf(entries[i].href);
+      if(index >= 0 && index <= spineIndex && index > bestIndex) {
+        best = key;
+        bestIndex = index;
+      }
+      walk(entries[i].children, key + '.');
+    }
+  }
+  walk(toc || [], '');
+  return best;
+}
+
+// Get the entry with the specified key
+function getEntry(toc, key) {
+  var entries = toc;
+  var entry = null;
+  var i;
+  if(!key) return null;
+  for(i of key.split('.')) {
+    if(!entries) return null;
+    entry = entries[parseInt(i)];
+    if(!entry) return null;
+    entries = entry.children;
+  }
+  return entry;
+}
+
+// Get the label of the chapter containing a spine item (or null)
+function getChapterLabel(toc, spine, spineIndex) {
+  const entry = getEntry(toc, findChapterKey(toc, spine, spineIndex));
+  if(!entry) return null;
+  return entry.label;
+}
+
+export {findChapterKey, getEntry, getChapterLabel};
@@ -0,0 +1,206 @@
+'use strict';
+
+// Tap zones and swipe gestures for touchscreens.
+//
+// Taps and swipes on the page run the same actions as keys
+// (see actions/index.js and keymap.js).
+//
+// Tap zones are rectangles given as fractions of the page size.
+// The first zone containing the tap is used. For right-to-left books
+// the zones are mirrored so e.g. the previous page zone is on the right.
+//
+// Swipes are named by the direction the finger moves.
+// They use the page-left and page-right actions which already
+// know about right-to-left books so they are not mirrored.
+//
+// Like keys, a zone or swipe can be bound to a list of actions
+// which are tried in order until one of them does something.
+
+import {runActionList} from './keymap.js';
+
+const DEFAULT_TOUCH_CONFIG = {
+  enabled: true,
+  mirrorRTL: true,
+  tapZones: [
+    {left: 0, top: 0, right: 1, bottom: 0.15, action: 'menu'},
+    {left: 0, top: 0, right: 1/3, bottom: 1, action: 'prev-page'},
+    {left: 1/3, top: 0, right: 1, bottom: 1, action: 'next-page'}
+  ],
+  swipes: {
+    left: ['pan-right', 'page-right'],
+    right: ['pan-left', 'page-left'],
+    up: 'pan-down',
+    down: 'pan-up'
+  },
+  // Minimum distance to count as a swipe, as a fraction of the page width
+  swipeDistance: 0.1,
+  // Presses longer than this (milliseconds) are not taps or swipes
+  // so e.g. text can be selected
+  maxDuration: 800
+};
+
+// Mouse events that follow within this many milliseconds
+// of a touch event are emulated by the browser so they are ignored
+const MOUSE_AFTER_TOUCH_DELAY = 1000;
+
+// Find the tap zone containing the point (x, y)
+// where x and y are fractions of the page size
+function findTapZone(zones, x, y, mirror) {
+  if(mirror) x = 1 - x;
+  var zone;
+  for(zone of zones || []) {
+    if(x >= zone.left && x < zone.right && y >= zone.top && y < zone.bottom) {
+      return zone;
+    }
+  }
+  return null;
+}
+
+// Get the direction of a swipe from (x1, y1) to (x2, y2) in pixels
+// or null if it's not far enough to be a swipe
+function swipeDirection(x1, y1, x2, y2, minDistance) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  if(Math.max(Math.abs(dx), Math.abs(dy)) < minDistance) return null;
+  if(Math.abs(dx) >= Math.abs(dy)) {
+    return (dx < 0) ? 'left' : 'right';
+  }
+  return (dy < 0) ? 'up' : 'down';
+}
+
+class TouchNavigation {
+
+  // `pageElement` is the element containing the book's content.
+  // `runAction(name)` must run the named action and return false
+  // if it didn't do anything.
+  // `opts.rtl` is true for right-to-left books.
+  constructor(pageElement, runAction, config, opts) {
+    this.pageElement = pageElement;
+    this.runAction = runAction;
+    config = config || {};
+    this.config = Object.assign({}, DEFAULT_TOUCH_CONFIG, config);
+    // Swipes are merged so a single direction can be rebound
+    this.config.swipes = Object.assign({}, DEFAULT_TOUCH_CONFIG.swipes, config.swipes || {});
+    this.opts = opts || {};
+
+    this.start = null; // where the current touch started
+    this.lastTouch = 0; // time of the last touch event
+
+    this.ontouchstartBound = this.ontouchstart.bind(this);
+    this.ontouchendBound = this.ontouchend.bind(this);
+    this.onmousedownBound = this.onmousedown.bind(this);
+    this.onmouseupBound = this.onmouseup.bind(this);
+
+    this.attach(pageElement);
+  }
+
+  // Listen for touches on an element or on a document shown in an iframe
+  // inside the page element. Events inside iframes don't reach
+  // the parent document so each iframe document must be attached.
+  attach(target) {
+    if(!this.config.enabled) return;
+    target.addEventListener('touchstart', this.ontouchstartBound);
+    target.addEventListener('touchend', this.ontouchendBound);
+    target.addEventListener('mousedown', this.onmousedownBound);
+    target.addEventListener('mouseup', this.onmouseupBound);
+  }
+
+  detach(target) {
+    target.removeEventListener('touchstart', this.ontouchstartBound);
+    target.removeEventListener('touchend', this.ontouchendBound);
+    target.removeEventListener('mousedown', this.onmousedownBound);
+    target.removeEventListener('mouseup', this.onmouseupBound);
+  }
+
+  // Convert the coordinates of an event to coordinates in the top window.
+  // Iframes showing fixed layout pages may be scaled.
+  toWindowCoords(e, point) {
+    const doc = e.target.ownerDocument || e.target;
+    const frame = (doc.defaultView && doc.defaultView !== window) ? doc.defaultView.frameElement : null;
+    if(!frame) {
+      return {x: point.clientX, y: point.clientY};
+    }
+    const rect = frame.getBoundingClientRect();
+    const scale = (frame.offsetWidth) ? rect.width / frame.offsetWidth : 1;
+    return {
+      x: rect.left + point.clientX * scale,
+      y: rect.top + point.clientY * scale
+    };
+  }
+
+  begin(e, point) {
+    // Links are followed rather than turning the page
+    if(e.target.closest && e.target.closest('a[href]')) {
+      this.start = null;
+      return;
+    }
+    const p = this.toWindowCoords(e, point);
+    this.start = {x: p.x, y: p.y, time: Date.now()};
+  }
+
+  end(e, point) {
+    const start = this.start;
+    this.start = null;
+    if(!start) return;
+    if(Date.now() - start.time > this.config.maxDuration) return;
+
+    // Don't turn the page when the user selected some text
+    const sel = (e.target.ownerDocument || document).getSelection();
+    if(sel && !sel.isCollapsed) return;
+
+    const p = this.toWindowCoords(e, point);
+    const rect = this.pageElement.getBoundingClientRect();
+    if(!rect.width || !rect.height) return;
+
+    const direction = swipeDirection(start.x, start.y, p.x, p.y, this.config.swipeDistance * rect.width);
+    if(direction) {
+      this.runActions(this.config.swipes[direction]);
+      return;
+    }
+
+    const zone = findTapZone(
+      this.config.tapZones,
+      (p.x - rect.left) / rect.width,
+      (p.y - rect.top) / rect.height,
+      this.opts.rtl && this.config.mirrorRTL
+    );
+    if(zone) {
+      this.runActions(zone.action);
+    }
+  }
+
+  runActions(actions) {
+    return runActionList(this.runAction, actions);
+  }
+
+  ontouchstart(e) {
+    this.lastTouch = Date.now();
+    if(e.touches.length !== 1) {
+      this.start = null; // ignore multi-touch
+      return;
+    }
+    this.begin(e, e.touches[0]);
+  }
+
+  ontouchend(e) {
+    this.lastTouch = Date.now();
+    if(!e.changedTouches.length) return;
+    this.end(e, e.changedTouches[0]);
+  }
+
+  isEmulatedMouseEvent() {
+    return Date.now() - this.lastTouch < MOUSE_AFTER_TOUCH_DELAY;
+  }
+
+  onmousedown(e) {
+    if(e.button !== 0 || this.isEmulatedMouseEvent()) return;
+    this.begin(e, e);
+  }
+
+  onmouseup(e) {
+    if(e.button !== 0 || this.isEmulatedMouseEvent()) return;
+    this.end(e, e);
+  }
+}
+
+export {DEFAULT_TOUCH_CONFIG, findTapZone, swipeDirection, TouchNavigation};
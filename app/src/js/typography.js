@@ -0,0 +1,151 @@
+'use strict';
+
+// Reader typography settings (font size, font, line spacing etc.)
+// and the user stylesheet generated from them which is injected
+// into reflowable content after the publisher's CSS.
+// Fixed layout content is never restyled.
+
+import {load, save} from './storage.js';
+
+const STORAGE_KEY = 'typography';
+
+// A value of null means "use whatever the publisher specified"
+const defaults = {
+  fontSize: 100, // percent of the default font size
+  fontFamily: null,
+  lineHeight: null,
+  margin: 0, // left and right margins in percent of the page width
+  justify: null, // 'start' or 'justify'
+  hyphenate: null, // true or false
+  // How much of the publisher's CSS is overridden by the settings above:
+  //   'none': only the defaults for the whole book are changed
+  //   'paragraphs': body text is changed but headings etc. are left alone
+  //   'all': everything is changed
+  override: 'paragraphs'
+};
+
+const genericFonts = ['serif', 'sans-serif', 'monospace'];
+
+function formatPublisher(value, format) {
+  return (value === null) ? 'Publisher' : format(value);
+}
+
+// Get the settings shown in the settings overlay with their possible values.
+// `fonts` are the names of extra (e.g. user-installed) fonts from config.json
+function getTypographyOptions(fonts) {
+  return [{
+    key: 'fontSize',
+    label: "Font size",
+    values: [60, 70, 80, 90, 100, 110, 120, 140, 160, 180, 200, 250, 300],
+    format: (v) => v + '%'
+  }, {
+    key: 'fontFamily',
+    label: "Font",
+    values: [null].concat(genericFonts, fonts || []),
+    format: (v) => formatPublisher(v, (v) => v)
+  }, {
+    key: 'lineHeight',
+    label: "Line spacing",
+    values: [null, 1.2, 1.4, 1.6, 1.8, 2],
+    format: (v) => formatPublisher(v, (v) => v.toFixed(1))
+  }, {
+    key: 'margin',
+    label: "Margins",
+    values: [0, 2, 5, 8, 12],
+    format: (v) => v + '%'
+  }, {
+    key: 'justify',
+    label: "Alignment",
+    values: [null, 'start', 'justify'],
+    format: (v) => formatPublisher(v, (v) => (v === 'justify') ? "Justified" : "Ragged")
+  }, {
+    key: 'hyphenate',
+    label: "Hyphenation",
+    values: [null, true, false],
+    format: (v) => formatPublisher(v, (v) => (v) ? "On" : "Off")
+  }, {
+    key: 'override',
+    label: "Override publisher styles",
+    values: ['none', 'paragraphs', 'all'],
+    format: (v) => ({none: "None", paragraphs: "Paragraphs", all: "All"})[v]
+  }];
+}
+
+function loadTypography() {
+  return Object.assign({}, defaults, load(STORAGE_KEY, {}));
+}
+
+function saveTypography(settings) {
+  return save(STORAGE_KEY, settings);
+}
+
+function fontFamilyCSS(name) {
+  if(genericFonts.indexOf(name) >= 0) return name;
+  return '"' + name.replace(/["\\]/g, '') + '"';
+}
+
+function rule(selector, decls) {
+  if(!decls.length) return '';
+  return selector + ' {\n  ' + decls.join(';\n  ') + ';\n}\n';
+}
+
+// Generate the user stylesheet for `settings`
+function typographyCSS(settings) {
+  const s = Object.assign({}, defaults, settings);
+  const important = (s.override === 'none') ? '' : ' !important';
+
+  // Which elements the text settings apply to
+  var selector = 'body';
+  if(s.override === 'paragraphs') {
+    selector = 'body, p, li, dd, dt, blockquote, td';
+  } else if(s.override === 'all') {
+    selector = 'body, body *';
+  }
+
+  const text = [];
+  const fonts = [];
+  if(s.fontFamily) {
+    fonts.push('font-family: ' + fontFamilyCSS(s.fontFamily) + important);
+  }
+  if(s.lineHeight) {
+    text.push('line-height: ' + s.lineHeight + important);
+  }
+  if(s.justify) {
+    text.push('text-align: ' + s.justify + important);
+  }
+  if(s.hyphenate !== null) {
+    const hyphens = (s.hyphenate) ? 'auto' : 'manual';
+    text.push('hyphens: ' + hyphens + important);
+    text.push('-webkit-hyphens: ' + hyphens + important);
+  }
+
+  var css = '';
+  if(s.fontSize !== 100) {
+    css += rule('html', ['font-size: ' + s.fontSize + '%' + important]);
+  }
+  if(s.margin) {
+    // Not a publisher style so it's always applied
+    css += rule('body', [
+      'padding-left: ' + s.margin + '% !important',
+      'padding-right: ' + s.margin + '% !important'
+    ]);
+  }
+  css += rule(selector, text);
+  // Code should stay monospace
+  if(s.override === 'all') {
+    css += rule('body *:not(pre):not(code):not(kbd):not(samp), body', fonts);
+  } else {
+    css += rule(selector, fonts);
+  }
+  return css;
+}
+
+// Get the next or previous (delta -1) value of a setting
+function nextTypographyValue(option, value, delta) {
+  var i = option.values.indexOf(value);
+  if(i < 0) i = 0;
+  i = Math.min(Math.max(i + delta, 0), option.values.length - 1);
+  return option.values[i];
+}
+
+export {getTypographyOptions, loadTypography, saveTypography, typographyCSS, nextTypographyValue};
@@ -34,16 +34,16 @@ static void initialize_web_extensions(WebKitWebContext *context, gpointer user_d
 }
 
 // This runs asynchronously so blocking calls are safe
-GBytes* uri_scheme_ebook_load_file(const char* path) {
+// On failure NULL is returned and `error` is set
+GBytes* uri_scheme_ebook_load_file(const char* path, GError** error) {
 
   GBytes* bytes;
   g_autoptr (GFile) file = NULL;
 
   file = g_file_new_for_path(path);
   
-  bytes = g_file_load_bytes(file, NULL, NULL, NULL);
+  bytes = g_file_load_bytes(file, NULL, NULL, error);
   if(!bytes) {
-    // TODO proper error handling
     g_printerr("Error opening %s\n", path);
     return NULL;
   }
@@ -52,7 +52,8 @@ GBytes* uri_scheme_ebook_load_file(const char* path) {
 }
 
 // This runs asynchronously so blocking calls are safe
-GBytes* uri_scheme_ebook_load_file_zip(char* zipfile_path, char* compressed_path) {
+// On failure NULL is returned and `error` is set
+GBytes* uri_scheme_ebook_load_file_zip(char* zipfile_path, char* compressed_path, GError** error) {
 
   struct zip* z;
   zip_file_t* zf;
@@ -65,70 +66,72 @@ GBytes* uri_scheme_ebook_load_file_zip(char* zipfile_path, char* compressed_path
   GBytes* g_buf;
   int ret;
 
-  z = zip_open(zipfile_path, 0, &err);
+  z = zip_open(zipfile_path, ZIP_RDONLY, &err);
   if(!z) {
-    // TODO show error to user
     zip_error_to_str(errbuf, sizeof(errbuf), err, errno);
     g_printerr("Failed to open zip file %s : %s\n", zipfile_path, errbuf);
+    g_set_error(error, G_IO_ERROR, (err == ZIP_ER_NOENT) ? G_IO_ERROR_NOT_FOUND : G_IO_ERROR_FAILED,
+                "Failed to open zip file %s: %s", zipfile_path, errbuf);
     return NULL;
   }
 
   index = zip_name_locate(z, compressed_path, ZIP_FL_ENC_GUESS);
   if(index < 0) {
-    // TODO handle error
     g_printerr("Could not find %s inside of zip archive %s\n", compressed_path, zipfile_path);
+    g_set_error(error, G_IO_ERROR, G_IO_ERROR_NOT_FOUND,
+                "Could not find %s inside of zip archive %s", compressed_path, zipfile_path);
+    zip_discard(z);
     return NULL;
   }
 
   ret = zip_stat_index(z, index, 0, &st);
   if(ret != 0 || !(st.valid & ZIP_STAT_SIZE)) {
-    // TODO handle error
     g_printerr("Failed to get file size of %s inside of zip archive %s\n", compressed_path, zipfile_path);
+    g_set_error(error, G_IO_ERROR, G_IO_ERROR_FAILED,
+                "Failed to get file size of %s inside of zip archive %s", compressed_path, zipfile_path);
+    zip_discard(z);
     return NULL;
   }
 
   zf = zip_fopen_index(z, index, 0);
   if(!zf) {
-    // TODO show error to user
-    zip_error_to_str(errbuf, sizeof(errbuf), err, errno);
-    g_printerr("Failed to open file from inside zip archive %s//%s: %s\n", zipfile_path, compressed_path, errbuf);
+    g_printerr("Failed to open file from inside zip archive %s//%s: %s\n", zipfile_path, compressed_path, zip_strerror(z));
+    g_set_error(error, G_IO_ERROR, G_IO_ERROR_FAILED,
+                "Failed to open file from inside zip archive %s//%s: %s", zipfile_path, compressed_path, zip_strerror(z));
+    zip_discard(z);
     return NULL;
   }
 
+  // g_malloc() aborts if it fails so there is no need to check
   buf = g_malloc(st.size);
-  if(!buf) {
-    g_printerr("Failed to allocate %lu bytes for reading file %s//%s\n", st.size, zipfile_path, compressed_path);
-    return NULL;
-  }
 
   bytes_read = zip_fread(zf, buf, st.size);
   if(bytes_read < 0) {
-    // TODO show error to user
-    zip_error_to_str(errbuf, sizeof(errbuf), err, errno);
-    g_printerr("Failed to read file from inside zip archive %s//%s : %s\n", zipfile_path, compressed_path, errbuf);
+    g_printerr("Failed to read file from inside zip archive %s//%s : %s\n", zipfile_path, compressed_path, zip_file_strerror(zf));
+    g_set_error(error, G_IO_ERROR, G_IO_ERROR_FAILED,
+                "Failed to read file from inside zip archive %s//%s: %s", zipfile_path, compressed_path, zip_file_strerror(zf));
     goto fail;
   } else if(bytes_read < st.size) {
-    // TODO show error to user
     g_printerr("Incomplete read of file from inside zip archive %s//%s\n", zipfile_path, compressed_path);
+    g_set_error(error, G_IO_ERROR, G_IO_ERROR_PARTIAL_INPUT,
+                "Incomplete read of file from inside zip archive %s//%s", zipfile_path, compressed_path);
     goto fail;
   }
   
   if(zip_fclose(zf) < 0) {
-    // TODO handle error
+    // The data was read so this isn't fatal
     g_printerr("Error closing %s//%s\n", zipfile_path, compressed_path);
-    goto fail;
   }
 
-  if(zip_close(z) < 0) {
-    // TODO handle error
-    g_printerr("Error closing %s\n", zipfile_path);
-    goto fail;
-  }
+  // Opened read-only so nothing needs to be written
+  zip_discard(z);
   
   g_buf = g_bytes_new_take(buf, st.size);
   return g_buf;
 
  fail:
+  zip_fclose(zf);
+  zip_discard(z);
   g_free(buf);
   return NULL;
 }
@@ -148,15 +151,19 @@ static void uri_scheme_ebook_handler(GTask*        task,
   char* zipfile_path;
   char* compressed_path;
   char* web_app_path;
+  GError* error = NULL;
 
   // This is the data passed with g_task_set_task_data()
   g_uri = (GString*) task_data;
-  if(!g_uri) return;
+  if(!g_uri) {
+    g_task_return_new_error(task, G_IO_ERROR, G_IO_ERROR_INVALID_ARGUMENT, "No URI");
+    return;
+  }
 
   uri = g_uri_unescape_string(g_uri->str, NULL);
   if(!uri) {
-    // TODO handle error
     g_printerr("Unable to unescape URI\n");
+    g_task_return_new_error(task, G_IO_ERROR, G_IO_ERROR_INVALID_FILENAME, "Unable to unescape URI: %s", g_uri->str);
     return;
   }
 
@@ -176,8 +183,7 @@ static void uri_scheme_ebook_handler(GTask*        task,
     // Load relative files from web app dir
     web_app_path = g_strconcat(working_dir_path, "/", WEB_APP_RELATIVE_PATH, "/", uri, NULL);
     
-    ret = uri_scheme_ebook_load_file(web_app_path);    
-    // TODO check return value
+    ret = uri_scheme_ebook_load_file(web_app_path, &error);
     
     free(web_app_path);
     
@@ -195,8 +201,7 @@ static void uri_scheme_ebook_handler(GTask*        task,
 
       // Load the web app instead
       web_app_path = g_strconcat(working_dir_path, "/", WEB_APP_RELATIVE_PATH, "/", WEB_APP_MAIN_FILE, NULL);
-      ret = uri_scheme_ebook_load_file(web_app_path);
-      // TODO check return value
+      ret = uri_scheme_ebook_load_file(web_app_path, &error);
       free(web_app_path);
     
     } else {
@@ -211,14 +216,19 @@ static void uri_scheme_ebook_handler(GTask*        task,
       // TODO check if zipfile_path is a file or directory
       // and check the mimetype
   
-      ret = uri_scheme_ebook_load_file_zip(zipfile_path, compressed_path);
+      ret = uri_scheme_ebook_load_file_zip(zipfile_path, compressed_path, &error);
     }
   }
-  
-  g_task_return_pointer(task,
-                        ret,
-                        g_free);
- cleanup:
+
+  // The error is passed on to the request (see uri_scheme_ebook_handler_callback)
+  // which makes e.g. fetch() reject instead of succeeding with an empty response
+  if(!ret) {
+    g_task_return_error(task, error);
+  } else {
+    g_task_return_pointer(task,
+                          ret,
+                          (GDestroyNotify) g_bytes_unref);
+  }
   g_free(uri);
 }
 
@@ -244,19 +254,19 @@ static void uri_scheme_ebook_handler_callback(void*                  *user_data,
                                               GAsyncResult           *result,
                                               WebKitURISchemeRequest *request) {
 
-  GString *str;
   GBytes* res;
+  GError* error = NULL;
 
-  res = g_task_propagate_pointer(G_TASK(result), NULL);
+  res = g_task_propagate_pointer(G_TASK(result), &error);
 
   if(!res) {
-    // TODO
-    str = g_string_new ("<html><body>");
-    g_string_append_printf(str, "Unknown error");
-    g_string_append(str, "</body></html>");
-    res = g_bytes_new_take(str->str, str->len);
-    g_string_free(str, FALSE);
-    uri_scheme_book_handler_done(request, res);
+    // Makes fetch() reject and XMLHttpRequest fire its error event
+    // so the web app can tell a missing file from an empty one
+    if(!error) {
+      error = g_error_new(G_IO_ERROR, G_IO_ERROR_FAILED, "Unknown error");
+    }
+    webkit_uri_scheme_request_finish_error(request, error);
+    g_error_free(error);
     goto cleanup;
   }
 
@@ -11,6 +11,7 @@
 #include <stdio.h>
 #include <errno.h>
 #include <glib-object.h>
+#include <glib/gstdio.h>
 #include <webkit2/webkit-web-extension.h>
 #include <JavaScriptCore/JavaScript.h>
 #include <zip.h>
@@ -69,7 +70,7 @@ web_page_created_callback(WebKitWebExtension *extension,
 }
 
 // return js array with names of all entries in specified directory
-// TODO test what happens with invalid path, access denied, etc.
+// or null if the directory could not be read
 JSCValue* js_ls(const char* path, JSCContext* js_context) {
   GDir* dir = NULL;
   const gchar* entry;
@@ -77,9 +78,12 @@ JSCValue* js_ls(const char* path, JSCContext* js_context) {
   JSCValue* entry_js;
   JSCValue* ret = NULL;
 
+  if(!path) {
+    return NULL;
+  }
+
   dir = g_dir_open(path, 0, NULL);
   if(!dir) {
-    // TODO return error to js caller
     g_printerr("Failed to open directory: %s\n", path);
     return NULL;
   }
@@ -87,6 +91,8 @@ JSCValue* js_ls(const char* path, JSCContext* js_context) {
   garray = g_ptr_array_new();
 
   do {
+    // readdir() only sets errno on failure, not at the end of the directory
+    errno = 0;
     entry = g_dir_read_name(dir);
     if(!entry) {
       break;
@@ -98,8 +104,7 @@ JSCValue* js_ls(const char* path, JSCContext* js_context) {
     
   } while(entry);
   
-  if(errno != EAGAIN) {
-    // TODO return error to js caller
+  if(errno != 0) {
     g_printerr("Failed to list contents of directory: %s\n", path);
     goto cleanup;
   }
@@ -114,47 +119,88 @@ JSCValue* js_ls(const char* path, JSCContext* js_context) {
   return ret;
 }
 
+// set a number property on a js object
+static void js_set_number(JSCValue* obj, const char* name, double val, JSCContext* js_context) {
+  JSCValue* val_js;
+
+  val_js = jsc_value_new_number(js_context, val);
+  jsc_value_object_set_property(obj, name, val_js);
+  g_object_unref(val_js);
+}
+
+// return js object with info about a file, e.g:
+// {size: 1234, mtime: 1583712000000, isDirectory: false}
+// where mtime is the modification time in ms since the epoch
+// or null if the file does not exist or can't be accessed
+JSCValue* js_stat(const char* path, JSCContext* js_context) {
+  GStatBuf st;
+  JSCValue* ret;
+  JSCValue* val_js;
+
+  if(!path) {
+    return NULL;
+  }
+
+  if(g_stat(path, &st) != 0) {
+    g_printerr("Failed to stat %s: %s\n", path, g_strerror(errno));
+    return NULL;
+  }
+
+  ret = jsc_value_new_object(js_context, NULL, NULL);
+
+  js_set_number(ret, "size", (double) st.st_size, js_context);
+  js_set_number(ret, "mtime", ((double) st.st_mtime) * 1000.0, js_context);
+
+  val_js = jsc_value_new_boolean(js_context, S_ISDIR(st.st_mode));
+  jsc_value_object_set_property(ret, "isDirectory", val_js);
+  g_object_unref(val_js);
+
+  return ret;
+}
+
 // use libmagic to get mimetype of file
+// returns null on failure
 JSCValue* js_get_mimetype(const char* path, JSCContext* js_context) {
   int ret;
   magic_t cookie;
   const char* mimetype;
-  JSCValue* ret_js;
+  JSCValue* ret_js = NULL;
 
   if(!path) {
-    // TODO raise js error 
     return NULL;
   }
   
-  cookie = magic_open(MAGIC_MIME_TYPE);
+  // MAGIC_ERROR makes magic_file() fail for unreadable files
+  // rather than returning a description of the error
+  cookie = magic_open(MAGIC_MIME_TYPE | MAGIC_ERROR);
   if(!cookie) {
-    // TODO raise js error
-    g_printerr("_get_mimetype open failed: %s\n", magic_error(cookie));
+    g_printerr("_get_mimetype open failed\n");
     return NULL; 
   }
   
   ret = magic_load(cookie, NULL); // load default magic database
   if(ret != 0) {
-    // TODO raise js error
     g_printerr("_get_mimetype load failed: %s\n", magic_error(cookie));
-    return NULL; 
+    goto cleanup;
   }
 
   mimetype = magic_file(cookie, path);
   if(!mimetype) {
-    // TODO raise js error
     g_printerr("_get_mimetype file read failed: %s\n", magic_error(cookie));
-    return NULL;
+    goto cleanup;
   }
   
+  // the mimetype string belongs to the cookie so copy it first
   ret_js = jsc_value_new_string(js_context, mimetype);
 
+ cleanup:
+  magic_close(cookie);
   return ret_js;
 }
 
 
 // return js array with names of all entries in zip file
-// TODO test what happens with invalid path, access denied, etc.
+// or null if the zip file could not be opened
 JSCValue* js_zip_ls(const char* path, JSCContext* js_context) {
   GDir* dir = NULL;
   GPtrArray* garray;
@@ -168,9 +214,12 @@ JSCValue* js_zip_ls(const char* path, JSCContext* js_context) {
   int ret;
   zip_uint64_t i;
 
-  z = zip_open(path, 0, &err);
+  if(!path) {
+    return NULL;
+  }
+
+  z = zip_open(path, ZIP_RDONLY, &err);
   if(!z) {
-    // TODO return error to js caller
     zip_error_to_str(errbuf, sizeof(errbuf), err, errno);
     g_printerr("Failed to open zip file %s : %s\n", path, errbuf);
     return NULL;
@@ -199,10 +248,8 @@ JSCValue* js_zip_ls(const char* path, JSCContext* js_context) {
   
  cleanup:
   g_ptr_array_free(garray, FALSE);
-  ret = zip_close(z);
-  if(ret !=0) {
-    // TODO handle this error
-  }
+  // opened read-only so there are no changes to write
+  zip_discard(z);
 
   return js_ret;
 }
@@ -292,6 +339,18 @@ window_object_cleared_cb(WebKitScriptWorld       *world,
   jsc_value_object_set_property(js_fread, "_zip_ls", js_func);
   g_clear_object(&js_func);
 
+  // define js function `_stat` on Fread object
+  js_func = jsc_value_new_function(js_context,
+                                 "_stat",
+                                 G_CALLBACK(js_stat),
+                                 js_context,
+                                 NULL,
+                                 JSC_TYPE_VALUE, // return type
+                                 1,
+                                 G_TYPE_STRING);
+  jsc_value_object_set_property(js_fread, "_stat", js_func);
+  g_clear_object(&js_func);
+
   // define js function `_get_mimetype` on Fread object
   js_func = jsc_value_new_function(js_context,
                                  "_get_mimetype",
@@ -14,85 +14,183 @@ var Fread = {
   },
   
 
-  // get a file from inside a zip file
-  getFromZip(zipFilePath, insidePath, isBinary, cb) {
-    var uri = this.pathToURI(zipFilePath + '//' + insidePath)
-    var req = new Request(uri);
-    console.log("Trying to get:", uri);
-    fetch(req).then(function(resp) {
-      // When using the custom URI scheme
-      // resp.ok is never true and resp.status is always 0
-      // TODO figure out how to check for errors
-//      if(!resp.ok) {
-//        return cb(new Error("Failed to get: " + uri);
-//      }
-      
-      if(isBinary) {
-        resp.blob().then(function(blob) {
-          cb(null, blob);
-        });
-      } else {
-        resp.text().then(function(text) {
-          cb(null, text);
-        });
+  // Check that `path` is an absolute path.
+  // Returns an Error or null if the path is fine.
+  _checkPath: function(path, what) {
+    if(typeof path !== 'string' || !path) {
+      return new Error((what || "Path") + " must be a non-empty string");
+    }
+    if(path[0] !== '/') {
+      return new Error((what || "Path") + " must be absolute: " + path);
+    }
+    return null;
+  },
+
+  // Call the C function `fn` with `path` and resolve with the result.
+  // The C functions return null on failure.
+  _call: function(fn, path, errorMessage) {
+    var self = this;
+    return new Promise(function(resolve, reject) {
+      var err = self._checkPath(path);
+      if(err) return reject(err);
+
+      var ret = self[fn](path);
+      if(ret === null || ret === undefined) {
+        return reject(new Error(errorMessage + ": " + path));
       }
+      resolve(ret);
+    });
+  },
 
-    })
+  // Get a file from inside a zip file.
+  // Returns a promise of a Blob if `isBinary` is true or else a string.
+  // Rejects if the zip file or the file inside it doesn't exist.
+  getFromZip: function(zipFilePath, insidePath, isBinary) {
+    var err = this._checkPath(zipFilePath, "Zip file path");
+    if(err) return Promise.reject(err);
+    if(typeof insidePath !== 'string' || !insidePath) {
+      return Promise.reject(new Error("Path inside zip file must be a non-empty string"));
+    }
+    
+    var uri = this.pathToURI(zipFilePath + '//' + insidePath.replace(/^\/+/, ''));
+    
+    // The URI scheme handler finishes the request with an error
+    // if the file can't be read which makes fetch() reject.
+    // Its status is always 0 so resp.ok can't be used.
+    return fetch(new Request(uri)).then(function(resp) {
+      return (isBinary) ? resp.blob() : resp.text();
+    }, function(err) {
+      throw new Error("Failed to get " + insidePath + " from " + zipFilePath + ": " + err.message);
+    });
   },
   
   
+  // E-paper update methods (waveforms), from fastest to best quality:
+  //   fast: black and white only, e.g. for menus and selection changes
+  //   partial: grayscale without flashing, e.g. for page turns
+  //   full: grayscale with a flash that clears ghosting
+  UPDATE_METHODS: ['fast', 'partial', 'full'],
+
+  // Update a rectangle of the e-paper display.
+  // Coordinates are CSS pixels relative to the top-level window
+  // and are converted to device pixels for `_update`.
   update: function(x, y, width, height, updateMethod) {
-    // TODO input sanity checking
+    var i;
+    for(i=0; i < 4; i++) {
+      if(typeof arguments[i] !== 'number' || !isFinite(arguments[i])) {
+        throw new Error("Invalid update rectangle: " + [x, y, width, height].join(', '));
+      }
+    }
+    updateMethod = updateMethod || 'partial';
+    if(this.UPDATE_METHODS.indexOf(updateMethod) < 0) {
+      throw new Error("Unknown update method: " + updateMethod);
+    }
+
+    // Clip to the window and round outwards to whole device pixels
+    var ratio = window.devicePixelRatio || 1;
+    var left = Math.floor(Math.max(x, 0) * ratio);
+    var top = Math.floor(Math.max(y, 0) * ratio);
+    var right = Math.ceil(Math.min(x + width, window.innerWidth) * ratio);
+    var bottom = Math.ceil(Math.min(y + height, window.innerHeight) * ratio);
+    if(right <= left || bottom <= top) return false;
     
-    return this._update(x, y, width, height, updateMethod);
+    return this._update(left, top, right - left, bottom - top, updateMethod);
+  },
+
+  // Stand-in for the C function that updates the display.
+  // The web extension replaces it on devices with an e-paper display
+  // so on a normal desktop the updates are only logged.
+  _update: function(x, y, width, height, updateMethod) {
+    console.log("Fread._update:", x, y, width, height, updateMethod);
+    return true;
+  },
+
+  // Get the bounding box of `element` as {x, y, width, height}
+  // in CSS pixels relative to the top-level window.
+  // Elements inside (possibly scaled) iframes are supported.
+  getElementRect: function(element) {
+    var rect = element.getBoundingClientRect();
+    var x = rect.left;
+    var y = rect.top;
+    var width = rect.width;
+    var height = rect.height;
+
+    var win = element.ownerDocument.defaultView;
+    var frame, frameRect, scale;
+    while(win && win !== window.top && win.frameElement) {
+      frame = win.frameElement;
+      frameRect = frame.getBoundingClientRect();
+      scale = (frame.offsetWidth) ? frameRect.width / frame.offsetWidth : 1;
+      x = frameRect.left + frame.clientLeft * scale + x * scale;
+      y = frameRect.top + frame.clientTop * scale + y * scale;
+      width *= scale;
+      height *= scale;
+      win = frame.ownerDocument.defaultView;
+    }
+    return {x: x, y: y, width: width, height: height};
   },
   
-  // update a dom element
+  // Update the part of the display showing `element`
   updateElement: function(element, updateMethod) {
-
-    // TODO get position and dimensions and called this.update
-    
+    if(!element || !element.getBoundingClientRect) {
+      throw new Error("Not an element: " + element);
+    }
+    var rect = this.getElementRect(element);
+    return this.update(rect.x, rect.y, rect.width, rect.height, updateMethod);
   },
 
-  // TODO should be async
-  // list files in path
+  // List the names of the files in the directory at `path`, sorted.
+  // Returns a promise.
   ls: function(path) {
-    // TODO input sanity checking
-
-    // TODO sort output
+    return this._call('_ls', path, "Failed to list directory").then(function(entries) {
+      return entries.sort();
+    });
+  },
 
-    return this._ls(path);
+  // List the paths of the files inside the zip file at `path`, sorted.
+  // Returns a promise.
+  zipLs: function(path) {
+    return this._call('_zip_ls', path, "Failed to list zip file").then(function(entries) {
+      return entries.sort();
+    });
   },
+  
 
+  // Get info about a file, e.g:
+  // {size: 1234, mtime: 1583712000000, isDirectory: false}
+  // Returns a promise which resolves with null if the file does not exist.
+  stat: function(path) {
+    var err = this._checkPath(path);
+    if(err) return Promise.reject(err);
 
-  // TODO should be async
-  // list files inside zip file
-  zip_ls: function(path) {
-    // TODO input sanity checking
-    
-    // TODO sort output
-    
-    return this._zip_ls(path);
+    return this._call('_stat', path, "Failed to stat").catch(function() {
+      return null;
+    });
   },
-  
 
-  // TODO should be async
-  get_mimetype: function(path) {
-    
-    return this._get_mimetype(path);
+  // Get the mimetype of the file at `path`, e.g. 'application/epub+zip'.
+  // Returns a promise.
+  getMimetype: function(path) {
+    var self = this;
+    return this.stat(path).then(function(st) {
+      if(!st) throw new Error("No such file: " + path);
+      return self._call('_get_mimetype', path, "Failed to get mimetype");
+    });
   },
 
-  open_epub: function(path, cb) {
-    var mimetype = this.get_mimetype(path);
-    if(mimetype !== 'application/epub+zip') {
-      return cb(new Error("Mimetype not supported: " + mimetype));
-    }
+  // Get the paths of the files inside the epub at `path`.
+  // Returns a promise.
+  openEpub: function(path) {
+    var self = this;
+    return this.getMimetype(path).then(function(mimetype) {
+      if(mimetype !== 'application/epub+zip') {
+        throw new Error("Mimetype not supported: " + mimetype);
+      }
 
-    var files = this.zip_ls(path);
+      // TODO parse metadata
 
-    // TODO parse metadata
-    
-    return files;
+      return self.zipLs(path);
+    });
   }
   
   